@@ -9,6 +9,7 @@
 import { promises as fs } from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { withoutVariants } from './server/image-formats.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -47,7 +48,8 @@ async function scanImagesDirectory() {
   try {
     const files = await fs.readdir(IMAGES_DIR)
     
-    const imageFiles = files
+    // AVIF/WebP copies of processed images are not separate images
+    const imageFiles = withoutVariants(files)
       .filter(file => isImageFile(file))
       .filter(file => !file.startsWith('.') && file !== 'images.json')
       .sort()
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Create or reset an admin account for the meme2xyz admin panel
+ * Usage: npm run create-admin -- <username> [moderator|owner]
+ * The password is read from ADMIN_PASSWORD, or prompted for when unset.
+ */
+
+import process from 'process'
+import readline from 'readline'
+import Database from './server/database.js'
+import { loadConfig } from './server/config.js'
+import { ROLES, destroyUserSessions, hashPassword, validateAccountInput } from './server/admin-auth.js'
+
+/**
+ * Ask for the password on the terminal without echoing it
+ */
+function promptPassword(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text)
+    }
+    rl.question(question, (answer) => {
+      rl.close()
+      process.stdout.write('\n')
+      resolve(answer)
+    })
+  })
+}
+
+async function main() {
+  const [username, role = 'owner'] = process.argv.slice(2)
+
+  if (!username) {
+    console.log(`Usage: npm run create-admin -- <username> [${ROLES.join('|')}]`)
+    process.exit(1)
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await promptPassword(`🔑 Password for ${username}: `)
+
+  const inputError = validateAccountInput({ username, password, role })
+  if (inputError) {
+    console.error(`❌ ${inputError}`)
+    process.exit(1)
+  }
+
+  const db = new Database(loadConfig().storage.path)
+  await db.open()
+  await db.migrate()
+
+  try {
+    const passwordHash = await hashPassword(password)
+    const existing = await db.get('SELECT id FROM admin_users WHERE username = ?', [username])
+
+    if (existing) {
+      await db.run('UPDATE admin_users SET password_hash = ?, role = ? WHERE id = ?', [passwordHash, role, existing.id])
+      await destroyUserSessions(db, existing.id)
+      console.log(`✅ Updated ${username} (${role}) - existing sessions were logged out`)
+    } else {
+      await db.run(`
+        INSERT INTO admin_users (username, password_hash, role, created_at)
+        VALUES (?, ?, ?, ?)
+      `, [username, passwordHash, role, new Date().toISOString()])
+      console.log(`✅ Created ${username} (${role})`)
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Script failed:', error)
+  process.exit(1)
+})
@@ -2,39 +2,37 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { withoutVariants } from './server/image-formats.js';
 
 async function generateImagesJson() {
   try {
     const imagesDir = './public/images';
-    const exclusionsPath = path.join(imagesDir, 'exclusions.json');
     const outputPath = path.join(imagesDir, 'images.json');
     
-    // Load exclusions list
-    let excludedFiles = [];
+    // Keep the visibility (public, unlisted, hidden) set through the admin panel,
+    // and the thumbnail and responsive widths of processed images
+    const visibility = new Map();
+    const previous = new Map();
     try {
-      const exclusionsData = await fs.readFile(exclusionsPath, 'utf-8');
-      const exclusionsJson = JSON.parse(exclusionsData);
-      excludedFiles = exclusionsJson.excludedFiles || [];
-      console.log(`📋 Loaded ${excludedFiles.length} exclusions from exclusions.json`);
+      const existing = JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+      existing.forEach(image => {
+        visibility.set(image.filename, image.visibility || 'public');
+        previous.set(image.filename, image);
+      });
+      console.log(`📋 Loaded visibility for ${visibility.size} images from images.json`);
     } catch (error) {
-      console.log('📋 No exclusions file found, using empty exclusions list');
+      console.log('📋 No existing images.json found, all images will be public');
     }
 
-    // Read all files in images directory
-    const files = await fs.readdir(imagesDir);
+    // Read all files in images directory, skipping the AVIF/WebP copies the
+    // server sends in place of an image
+    const files = withoutVariants(await fs.readdir(imagesDir));
     
-    // Filter to only image files and exclude problematic ones
+    // Filter to only image files
     const supportedExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg'];
     const imageFiles = files.filter(file => {
       const ext = path.extname(file).toLowerCase();
-      const isImageFile = supportedExtensions.includes(ext);
-      const isNotExcluded = !excludedFiles.includes(file);
-      
-      if (isImageFile && !isNotExcluded) {
-        console.log(`⏭️ Excluding: ${file} (in exclusions list)`);
-      }
-      
-      return isImageFile && isNotExcluded;
+      return supportedExtensions.includes(ext);
     });
 
     // Convert to image objects
@@ -43,10 +41,12 @@ async function generateImagesJson() {
       const extension = path.extname(file).slice(1); // Remove the dot
       
       return {
+        ...previous.get(file),
         name: nameWithoutExt,
         filename: file,
         extension: extension,
-        url: `/images/${file}`
+        url: `/images/${file}`,
+        visibility: visibility.get(file) || 'public'
       };
     }).sort((a, b) => a.name.localeCompare(b.name));
 
@@ -54,7 +54,7 @@ async function generateImagesJson() {
     await fs.writeFile(outputPath, JSON.stringify(images, null, 2));
     
     console.log(`✅ Generated images.json with ${images.length} images`);
-    console.log(`📊 Excluded ${excludedFiles.length} files`);
+    console.log(`📊 Not public: ${images.filter(img => img.visibility !== 'public').length} images`);
     console.log(`📁 Total files processed: ${files.length}`);
     
     // Log the included images
@@ -2,6 +2,55 @@ import sharp from 'sharp';
 import { promises as fs } from 'fs';
 import path from 'path';
 import chokidar from 'chokidar';
+import { stripMetadataLosslessly } from './server/image-metadata.js';
+
+// Formats an unchanged upload can be published in as is
+const PASSTHROUGH_EXTENSIONS = { jpeg: '.jpg', png: '.png' };
+
+// Mean structural similarity (SSIM) of two same-sized 8-bit RGBA images over
+// 8x8 blocks, for the worse of luma and alpha. Luma is premultiplied by alpha
+// so differences under fully transparent pixels do not count. 1 means identical.
+function similarity(a, b, width, height) {
+  const C1 = (0.01 * 255) ** 2;
+  const C2 = (0.03 * 255) ** 2;
+  const channels = [
+    (data, i) => (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * data[i + 3] / 255,
+    (data, i) => data[i + 3]
+  ];
+
+  let worst = 1;
+  for (const value of channels) {
+    let total = 0;
+    let blocks = 0;
+    for (let top = 0; top + 8 <= height; top += 8) {
+      for (let left = 0; left + 8 <= width; left += 8) {
+        let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+        for (let y = top; y < top + 8; y++) {
+          for (let x = left; x < left + 8; x++) {
+            const i = (y * width + x) * 4;
+            const va = value(a, i);
+            const vb = value(b, i);
+            sumA += va;
+            sumB += vb;
+            sumAA += va * va;
+            sumBB += vb * vb;
+            sumAB += va * vb;
+          }
+        }
+        const meanA = sumA / 64;
+        const meanB = sumB / 64;
+        const varA = sumAA / 64 - meanA * meanA;
+        const varB = sumBB / 64 - meanB * meanB;
+        const covariance = sumAB / 64 - meanA * meanB;
+        total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+          ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+        blocks++;
+      }
+    }
+    if (blocks > 0) worst = Math.min(worst, total / blocks);
+  }
+  return worst;
+}
 
 class ImageProcessor {
   constructor(config = {}) {
@@ -11,13 +60,33 @@ class ImageProcessor {
     this.maxDimensions = config.maxDimensions || { width: 1024, height: 768 };
     this.thumbnailDimensions = config.thumbnailDimensions || { width: 400, height: 300 };
     this.quality = config.quality || 85;
+
+    // The optimized image is encoded several ways and the smallest candidate
+    // whose similarity to the original is at least minSimilarity wins. The
+    // unchanged original, lossless PNG and JPEG at `quality` always qualify.
+    this.candidateQualities = config.candidateQualities || [this.quality, 75, 65];
+    this.minSimilarity = config.minSimilarity || 0.97;
+
+    // Modern formats written next to every JPEG/PNG, served to browsers that accept them.
+    // AVIF needs a lower quality setting than JPEG/WebP for the same visual quality.
+    this.variantFormats = config.variantFormats || ['avif', 'webp'];
+    this.variantQuality = { avif: 60, webp: this.quality, ...config.variantQuality };
+
+    // Responsive ladder: extra copies at these widths (never wider than the original),
+    // in public/images/sizes/, for srcset
+    this.widths = config.widths || [320, 640, 960, 1280, 1920];
+    this.sizesDir = path.join(this.publicDir, 'sizes');
+
+    // Animated inputs stay animated: an animated WebP plus a GIF fallback,
+    // scaled down until it fits in maxGifBytes
+    this.maxGifBytes = config.maxGifBytes || 2 * 1024 * 1024;
     
     // Supported image formats
     this.supportedFormats = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.tiff'];
     
     // Image library data
     this.imageLibrary = new Map();
-    this.libraryFile = './src/imageLibrary.json';
+    this.libraryFile = config.libraryFile || './src/imageLibrary.json';
   }
 
   async initialize() {
@@ -46,7 +115,7 @@ class ImageProcessor {
   }
 
   async ensureDirectories() {
-    const dirs = [this.uploadsDir, this.publicDir, this.thumbnailsDir];
+    const dirs = [this.uploadsDir, this.publicDir, this.sizesDir, this.thumbnailsDir];
     
     for (const dir of dirs) {
       try {
@@ -99,11 +168,20 @@ class ImageProcessor {
       const metadata = await sharp(filePath).metadata();
       const stats = await fs.stat(filePath);
       
+      // Dimensions as displayed, i.e. after applying the EXIF orientation
+      const { width, height } = metadata.autoOrient || metadata;
+
       return {
-        width: metadata.width,
-        height: metadata.height,
+        width,
+        height,
         format: metadata.format,
         size: stats.size,
+        orientation: metadata.orientation || 1,
+        hasMetadata: Boolean(metadata.exif || metadata.xmp || metadata.iptc || metadata.comments?.length),
+        hasAlpha: metadata.hasAlpha,
+        pages: metadata.pages || 1,
+        delay: metadata.delay,
+        loop: metadata.loop,
         created: stats.birthtime,
         modified: stats.mtime
       };
@@ -118,9 +196,13 @@ class ImageProcessor {
       const originalMetadata = await this.getImageMetadata(inputPath);
       if (!originalMetadata) return null;
 
-      const outputExt = '.jpg'; // Convert everything to JPG for consistency
-      const optimizedPath = path.join(this.publicDir, `${outputName}${outputExt}`);
-      const thumbnailPath = path.join(this.thumbnailsDir, `${outputName}${outputExt}`);
+      // Animations keep a GIF; stills become whichever JPG/PNG candidate wins
+      // (see chooseEncoding), PNG only when the image is transparent.
+      // Thumbnails are always stills (sharp reads only the first frame by default)
+      const animated = originalMetadata.pages > 1;
+      const transparent = await this.hasTransparency(inputPath, originalMetadata);
+      const thumbnailExt = transparent ? '.png' : '.jpg';
+      const thumbnailPath = path.join(this.thumbnailsDir, `${outputName}${thumbnailExt}`);
 
       // Calculate dimensions maintaining aspect ratio
       const aspectRatio = originalMetadata.width / originalMetadata.height;
@@ -146,25 +228,47 @@ class ImageProcessor {
         thumbWidth = Math.round(thumbHeight * aspectRatio);
       }
 
-      // Process optimized version
-      await sharp(inputPath)
-        .resize(maxWidth, maxHeight, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .jpeg({ quality: this.quality })
-        .toFile(optimizedPath);
+      let outputExt, optimization, variants, widths, animation = null;
+      if (animated) {
+        outputExt = '.gif';
+        await this.removeFallbacks(outputName, outputExt);
+        ({ variants, animation, optimization } = await this.writeAnimation(inputPath, outputName, maxWidth, maxHeight, originalMetadata));
+        widths = []; // srcset would swap the animation for stills
+      } else {
+        // Process optimized version. autoOrient() bakes in the EXIF rotation;
+        // sharp writes no EXIF/XMP/IPTC unless asked, so outputs carry no metadata
+        const optimized = sharp(inputPath)
+          .autoOrient()
+          .resize(maxWidth, maxHeight, {
+            fit: 'inside',
+            withoutEnlargement: true
+          });
+        const { buffer, ...chosen } = await this.chooseEncoding(inputPath, optimized, originalMetadata, transparent);
+        outputExt = chosen.extension;
+        optimization = chosen.optimization;
+        await this.removeFallbacks(outputName, outputExt);
+        await fs.writeFile(path.join(this.publicDir, `${outputName}${outputExt}`), buffer);
+
+        // AVIF/WebP copies, same name with another extension, unless larger than the fallback
+        variants = await this.writeVariants(optimized, this.publicDir, outputName, '/images', buffer.length);
+        widths = await this.writeWidths(inputPath, outputName, originalMetadata, transparent);
+      }
 
       // Process thumbnail
-      await sharp(inputPath)
+      const thumbnail = sharp(inputPath)
+        .autoOrient()
         .resize(thumbWidth, thumbHeight, {
           fit: 'inside',
           withoutEnlargement: true
-        })
-        .jpeg({ quality: this.quality })
+        });
+      await this.encodeFallback(thumbnail, transparent)
         .toFile(thumbnailPath);
 
+      // AVIF/WebP copies of the thumbnail
+      const thumbnailVariants = await this.writeVariants(thumbnail, this.thumbnailsDir, outputName, '/thumbnails');
+
       // Get final file sizes
+      const optimizedPath = path.join(this.publicDir, `${outputName}${outputExt}`);
       const optimizedStats = await fs.stat(optimizedPath);
       const thumbnailStats = await fs.stat(thumbnailPath);
 
@@ -173,10 +277,16 @@ class ImageProcessor {
         filename: `${outputName}${outputExt}`,
         extension: outputExt.slice(1),
         url: `/images/${outputName}${outputExt}`,
-        thumbnailUrl: `/thumbnails/${outputName}${outputExt}`,
+        thumbnailUrl: `/thumbnails/${outputName}${thumbnailExt}`,
         originalSize: originalMetadata.size,
         optimizedSize: optimizedStats.size,
         thumbnailSize: thumbnailStats.size,
+        variants,
+        thumbnailVariants,
+        widths,
+        animation,
+        transparent,
+        optimization,
         dimensions: {
           original: { width: originalMetadata.width, height: originalMetadata.height },
           optimized: { width: maxWidth, height: maxHeight },
@@ -192,8 +302,17 @@ class ImageProcessor {
 
       console.log(`✅ Processed: ${outputName}`);
       console.log(`   📊 Original: ${this.formatFileSize(originalMetadata.size)} (${originalMetadata.width}x${originalMetadata.height})`);
-      console.log(`   📊 Optimized: ${this.formatFileSize(optimizedStats.size)} (${maxWidth}x${maxHeight})`);
+      console.log(`   📊 Optimized: ${this.formatFileSize(optimizedStats.size)} (${maxWidth}x${maxHeight}, ${optimization.strategy}${optimization.quality ? ` q${optimization.quality}` : ''})`);
       console.log(`   📊 Thumbnail: ${this.formatFileSize(thumbnailStats.size)} (${thumbWidth}x${thumbHeight})`);
+      for (const [format, variant] of Object.entries(variants)) {
+        console.log(`   📊 ${format.toUpperCase()}: ${this.formatFileSize(variant.size)}`);
+      }
+      if (animation) {
+        console.log(`   🎞️ Animated: ${animation.frames} frames, ${(animation.duration / 1000).toFixed(1)}s, GIF at ${animation.gif.width}x${animation.gif.height}`);
+      }
+      if (widths.length > 0) {
+        console.log(`   📊 Widths: ${widths.map(entry => entry.width).join(', ')}`);
+      }
       console.log(`   📊 Saved: ${imageData.compression}% bandwidth`);
 
       return imageData;
@@ -204,6 +323,245 @@ class ImageProcessor {
     }
   }
 
+  // Whether an image has pixels that are not fully opaque. An alpha channel
+  // alone is not enough: many PNGs carry one without using it
+  async hasTransparency(inputPath, metadata) {
+    if (!metadata.hasAlpha) return false;
+    const { isOpaque } = await sharp(inputPath).stats();
+    return !isOpaque;
+  }
+
+  // Encode a prepared sharp pipeline as the fallback format: PNG when it has
+  // transparency (JPEG would fill it with black), JPEG otherwise
+  encodeFallback(pipeline, transparent) {
+    return transparent
+      ? pipeline.clone().png({ compressionLevel: 9 })
+      : pipeline.clone().jpeg({ quality: this.quality });
+  }
+
+  // Encode a prepared sharp pipeline in each variant format. With maxSize,
+  // copies that are not smaller than that are deleted again: serving them
+  // instead of the fallback would only cost bandwidth.
+  // Returns { [format]: { url, size } }
+  async writeVariants(pipeline, dir, outputName, urlPrefix, maxSize = Infinity) {
+    const variants = {};
+    for (const format of this.variantFormats) {
+      const filename = `${outputName}.${format}`;
+      const filePath = path.join(dir, filename);
+      await pipeline.clone()
+        .toFormat(format, { quality: this.variantQuality[format] })
+        .toFile(filePath);
+      const stats = await fs.stat(filePath);
+      if (stats.size >= maxSize) {
+        await fs.unlink(filePath);
+        continue;
+      }
+      variants[format] = { url: `${urlPrefix}/${filename}`, size: stats.size };
+    }
+    return variants;
+  }
+
+  // Encode the optimized image every way that could win and pick the smallest
+  // candidate that qualifies: the original file, when it can be published
+  // unchanged (no resize or rotation; metadata is stripped), JPEG at each candidate
+  // quality and a palette PNG (good for screenshots), or for transparent
+  // images lossless and palette PNG. Lossy candidates other than the default
+  // quality must reach minSimilarity, and none may be larger than the upload.
+  // Returns { buffer, extension, optimization: { strategy, quality, similarity, candidates } }
+  async chooseEncoding(inputPath, pipeline, metadata, transparent) {
+    // 16-bit PNGs decode to 16-bit samples unless asked for 8
+    const reference = await pipeline.clone().ensureAlpha().raw({ depth: 'uchar' }).toBuffer({ resolveWithObject: true });
+    const { width, height } = reference.info;
+    const measure = async (buffer) => {
+      const candidate = await sharp(buffer).ensureAlpha().raw({ depth: 'uchar' }).toBuffer();
+      return similarity(reference.data, candidate, width, height);
+    };
+
+    const candidates = [];
+    const unchanged = width === metadata.width && height === metadata.height && metadata.orientation === 1;
+    const passthroughExt = PASSTHROUGH_EXTENSIONS[metadata.format];
+    if (unchanged && passthroughExt && (passthroughExt === '.png' || !transparent)) {
+      // Metadata is cut out of the file without touching the image data
+      const original = await fs.readFile(inputPath);
+      const buffer = metadata.hasMetadata ? await stripMetadataLosslessly(original, metadata.format) : original;
+      if (buffer) {
+        candidates.push({ strategy: 'passthrough', extension: passthroughExt, buffer, similarity: 1, lossless: true });
+      }
+    }
+
+    if (transparent) {
+      const buffer = await pipeline.clone().png({ compressionLevel: 9 }).toBuffer();
+      candidates.push({ strategy: 'png', extension: '.png', buffer, similarity: 1, lossless: true });
+    } else {
+      for (const quality of new Set([this.quality, ...this.candidateQualities])) {
+        const buffer = await pipeline.clone().jpeg({ quality }).toBuffer();
+        const baseline = quality === this.quality;
+        candidates.push({ strategy: 'jpeg', quality, extension: '.jpg', buffer, similarity: await measure(buffer), baseline });
+      }
+    }
+
+    const palette = await pipeline.clone().png({ palette: true, compressionLevel: 9 }).toBuffer();
+    candidates.push({ strategy: 'png-palette', extension: '.png', buffer: palette, similarity: await measure(palette) });
+
+    // The upload's size is a ceiling: a candidate larger than the original
+    // never wins. If none that qualifies fits, take the most similar one that
+    // does, and only when nothing fits at all the smallest
+    const fitting = candidates.filter(candidate => candidate.buffer.length <= metadata.size);
+    const qualifying = fitting.filter(candidate =>
+      candidate.lossless || candidate.baseline || candidate.similarity >= this.minSimilarity);
+    let best;
+    if (qualifying.length > 0) {
+      best = qualifying.reduce((smallest, candidate) =>
+        candidate.buffer.length < smallest.buffer.length ? candidate : smallest);
+    } else if (fitting.length > 0) {
+      best = fitting.reduce((closest, candidate) =>
+        candidate.similarity > closest.similarity ? candidate : closest);
+    } else {
+      best = candidates.reduce((smallest, candidate) =>
+        candidate.buffer.length < smallest.buffer.length ? candidate : smallest);
+    }
+
+    const round = value => Math.round(value * 10000) / 10000;
+    return {
+      buffer: best.buffer,
+      extension: best.extension,
+      optimization: {
+        strategy: best.strategy,
+        quality: best.quality,
+        similarity: round(best.similarity),
+        candidates: candidates.map(candidate => ({
+          strategy: candidate.strategy,
+          quality: candidate.quality,
+          size: candidate.buffer.length,
+          similarity: round(candidate.similarity)
+        }))
+      }
+    };
+  }
+
+  // Delete fallbacks of `outputName` in other formats, left behind when an
+  // image is processed again and a different candidate wins
+  async removeFallbacks(outputName, keepExt) {
+    for (const ext of ['.jpg', '.png', '.gif']) {
+      if (ext === keepExt) continue;
+      try {
+        await fs.unlink(path.join(this.publicDir, `${outputName}${ext}`));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  // Write an animated input as an animated WebP and a GIF fallback (the
+  // gallery URL), stepping the GIF down in size until it fits maxGifBytes.
+  // The original GIF (if it has no metadata) is kept whenever the re-encode is
+  // not smaller, and the WebP only when it is smaller than the GIF.
+  // Returns { variants, animation, optimization }
+  async writeAnimation(inputPath, outputName, width, height, originalMetadata) {
+    const animated = sharp(inputPath, { animated: true })
+      .resize(width, height, {
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+
+    const webpName = `${outputName}.webp`;
+    const webpPath = path.join(this.publicDir, webpName);
+    await animated.clone()
+      .webp({ quality: this.variantQuality.webp })
+      .toFile(webpPath);
+    const webpStats = await fs.stat(webpPath);
+
+    // sharp cannot encode animated AVIF; drop a still one left by an earlier
+    // run so negotiation never serves it in place of the animation
+    try {
+      await fs.unlink(path.join(this.publicDir, `${outputName}.avif`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const gifPath = path.join(this.publicDir, `${outputName}.gif`);
+    let gif;
+    let scale = 1;
+    for (; ; scale *= 0.8) {
+      const gifWidth = Math.round(width * scale);
+      const gifHeight = Math.round(height * scale);
+      const info = await sharp(inputPath, { animated: true })
+        .resize(gifWidth, gifHeight, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .gif({ effort: 10 })
+        .toFile(gifPath);
+      gif = { width: info.width, height: info.pageHeight || info.height, size: info.size };
+
+      // Never shrink the fallback below thumbnail size, even if it stays over the cap
+      if (info.size <= this.maxGifBytes || gifWidth * 0.8 < this.thumbnailDimensions.width) break;
+    }
+
+    // A re-encode, resized or not, has to be smaller than the original GIF
+    let strategy = 'gif';
+    if (originalMetadata.format === 'gif' && !originalMetadata.hasMetadata && originalMetadata.size <= gif.size) {
+      await fs.copyFile(inputPath, gifPath);
+      gif = { width: originalMetadata.width, height: originalMetadata.height, size: originalMetadata.size };
+      strategy = 'passthrough';
+    }
+
+    // Like writeVariants: a WebP that is not smaller than the GIF is not worth serving
+    const variants = {};
+    if (webpStats.size < gif.size) {
+      variants.webp = { url: `/images/${webpName}`, size: webpStats.size };
+    } else {
+      await fs.unlink(webpPath);
+    }
+
+    const delay = originalMetadata.delay || [];
+    return {
+      variants,
+      animation: {
+        frames: originalMetadata.pages,
+        delay,
+        duration: delay.reduce((sum, frameDelay) => sum + frameDelay, 0),
+        loop: originalMetadata.loop ?? 0, // 0 repeats forever
+        gif
+      },
+      optimization: { strategy }
+    };
+  }
+
+  // Write the responsive ladder: a JPEG or, for transparent images, PNG (plus variants
+  // smaller than it) per configured width below the original's width.
+  // Returns [{ width, height, url, size, variants }], narrowest first
+  async writeWidths(inputPath, outputName, originalMetadata, transparent = false) {
+    const ext = transparent ? '.png' : '.jpg';
+    const aspectRatio = originalMetadata.width / originalMetadata.height;
+    const widths = [...new Set(this.widths)]
+      .filter(width => width < originalMetadata.width)
+      .sort((a, b) => a - b);
+
+    const entries = [];
+    for (const width of widths) {
+      const height = Math.round(width / aspectRatio);
+      const sizeName = `${outputName}-${width}`;
+      const filePath = path.join(this.sizesDir, `${sizeName}${ext}`);
+      const pipeline = sharp(inputPath)
+        .autoOrient()
+        .resize(width, height, { fit: 'inside' });
+
+      await this.encodeFallback(pipeline, transparent)
+        .toFile(filePath);
+      const stats = await fs.stat(filePath);
+
+      entries.push({
+        width,
+        height,
+        url: `/images/sizes/${sizeName}${ext}`,
+        size: stats.size,
+        variants: await this.writeVariants(pipeline, this.sizesDir, sizeName, '/images/sizes', stats.size)
+      });
+    }
+    return entries;
+  }
+
   async processExistingImages() {
     try {
       const files = await fs.readdir(this.uploadsDir);
@@ -258,9 +616,17 @@ class ImageProcessor {
       })
       .on('error', error => console.error('❌ Watcher error:', error));
 
+    this.watcher = watcher;
     console.log('👀 Started watching for new images...');
   }
 
+  async stopWatching() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
   formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -1,6 +1,11 @@
 // Service Worker for aggressive image caching
 const CACHE_NAME = 'meme2xyz-v1'
 const IMAGE_CACHE = 'meme2xyz-images-v1'
+const META_CACHE = 'meme2xyz-meta-v1'
+
+// Feed of URLs the server has unpublished or deleted; see syncInvalidations()
+const INVALIDATIONS_URL = '/api/cache-invalidations'
+const LAST_INVALIDATION_KEY = '/__last-invalidation'
 
 // Cache strategy for different resource types
 const CACHE_STRATEGIES = {
@@ -36,13 +41,13 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME && cacheName !== IMAGE_CACHE) {
+          if (cacheName !== CACHE_NAME && cacheName !== IMAGE_CACHE && cacheName !== META_CACHE) {
             console.log('🗑️ Deleting old cache:', cacheName)
             return caches.delete(cacheName)
           }
         })
       )
-    })
+    }).then(() => syncInvalidations())
   )
   
   // Take control immediately
@@ -60,6 +65,11 @@ self.addEventListener('fetch', event => {
     return
   }
   
+  // The gallery is being (re)loaded - a good moment to drop removed images
+  if (url.pathname === '/api/images') {
+    event.waitUntil(syncInvalidations())
+  }
+
   // Handle API requests with network-first strategy
   if (url.pathname.startsWith('/api/')) {
     event.respondWith(handleApiRequest(request))
@@ -105,6 +115,40 @@ async function handleImageRequest(request) {
   }
 }
 
+// Delete cached copies of every URL invalidated since the last check.
+// The id of the newest invalidation seen is kept in META_CACHE.
+let invalidationSync = null
+
+function syncInvalidations() {
+  if (!invalidationSync) {
+    invalidationSync = applyInvalidations()
+      .catch(error => console.warn('⚠️ Cache invalidation check failed:', error))
+      .finally(() => { invalidationSync = null })
+  }
+  return invalidationSync
+}
+
+async function applyInvalidations() {
+  const meta = await caches.open(META_CACHE)
+  const stored = await meta.match(LAST_INVALIDATION_KEY)
+  const after = stored ? await stored.text() : '0'
+
+  const response = await fetch(`${INVALIDATIONS_URL}?after=${encodeURIComponent(after)}`, { cache: 'no-store' })
+  if (!response.ok) return
+  const { latest, urls } = await response.json()
+
+  if (urls.length > 0) {
+    const cacheNames = [CACHE_NAME, IMAGE_CACHE]
+    await Promise.all(cacheNames.map(async cacheName => {
+      const cache = await caches.open(cacheName)
+      // Images vary by Accept (AVIF/WebP/JPEG), so drop whichever format was stored
+      await Promise.all(urls.map(url => cache.delete(url, { ignoreSearch: true, ignoreVary: true })))
+    }))
+    console.log(`🗑️ Dropped ${urls.length} removed URL(s) from the cache`)
+  }
+  await meta.put(LAST_INVALIDATION_KEY, new Response(String(latest)))
+}
+
 // Network-first strategy for API calls
 async function handleApiRequest(request) {
   try {
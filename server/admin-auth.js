@@ -0,0 +1,219 @@
+/**
+ * Admin authentication for meme2xyz
+ * Local accounts with scrypt-hashed passwords, cookie sessions stored in
+ * SQLite, per-session CSRF tokens and role checks for the /api/admin routes.
+ */
+
+import crypto from 'crypto'
+import { Buffer } from 'buffer'
+import { promisify } from 'util'
+
+const scrypt = promisify(crypto.scrypt)
+
+export const SESSION_COOKIE = 'meme2xyz_session'
+export const CSRF_HEADER = 'x-csrf-token'
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000 // 12 hours
+
+// Roles in ascending order of privilege - each role can do everything the previous one can
+export const ROLES = ['moderator', 'owner']
+
+const SCRYPT_KEYLEN = 64
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Hash a password as `scrypt$<salt>$<hash>` (both hex encoded)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN)
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, hashHex] = (storedHash || '').split('$')
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false
+  }
+
+  const expected = Buffer.from(hashHex, 'hex')
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length)
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+/**
+ * Validate username/password/role input for account creation and updates.
+ * Returns an error message, or null when the input is acceptable.
+ */
+export function validateAccountInput({ username, password, role }, { requirePassword = true } = {}) {
+  if (username !== undefined && (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username))) {
+    return 'Username must be 3-32 characters: letters, numbers, dot, dash or underscore.'
+  }
+  if ((requirePassword || password !== undefined) && (typeof password !== 'string' || password.length < 10 || password.length > 200)) {
+    return 'Password must be between 10 and 200 characters.'
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}.`
+  }
+  return null
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+function parseCookies(header) {
+  const cookies = {}
+  if (!header) return cookies
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=')
+    if (index === -1) continue
+    const key = part.slice(0, index).trim()
+    const value = part.slice(index + 1).trim()
+    try {
+      cookies[key] = decodeURIComponent(value)
+    } catch {
+      cookies[key] = value
+    }
+  }
+  return cookies
+}
+
+function tokensMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false
+  const bufferA = Buffer.from(a)
+  const bufferB = Buffer.from(b)
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Public view of an admin account (never includes the password hash)
+ */
+export function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    created_at: user.created_at,
+    last_login_at: user.last_login_at
+  }
+}
+
+/**
+ * Create a session for a user. Only a hash of the session token is stored,
+ * so a leaked database cannot be replayed as cookies.
+ */
+export async function createSession(db, userId) {
+  const token = crypto.randomBytes(32).toString('hex')
+  const csrfToken = crypto.randomBytes(32).toString('hex')
+  const now = Date.now()
+
+  await db.run(`
+    INSERT INTO admin_sessions (token_hash, user_id, csrf_token, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `, [hashToken(token), userId, csrfToken, new Date(now).toISOString(), new Date(now + SESSION_TTL_MS).toISOString()])
+
+  return { token, csrfToken, expiresAt: new Date(now + SESSION_TTL_MS) }
+}
+
+export async function destroySession(db, token) {
+  if (!token) return
+  await db.run('DELETE FROM admin_sessions WHERE token_hash = ?', [hashToken(token)])
+}
+
+export async function destroyUserSessions(db, userId) {
+  await db.run('DELETE FROM admin_sessions WHERE user_id = ?', [userId])
+}
+
+export async function purgeExpiredSessions(db) {
+  const result = await db.run('DELETE FROM admin_sessions WHERE expires_at <= ?', [new Date().toISOString()])
+  return result.changes
+}
+
+export function setSessionCookie(res, session, { secure = false } = {}) {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure,
+    path: '/',
+    expires: session.expiresAt
+  })
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' })
+}
+
+export function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE]
+}
+
+/**
+ * Middleware: load the session from the cookie and attach `req.admin`
+ * ({ id, username, role }) and `req.csrfToken`. Responds 401 without a valid session.
+ */
+export function requireAdmin(db) {
+  return async (req, res, next) => {
+    const token = getSessionToken(req)
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    try {
+      const session = await db.get(`
+        SELECT s.csrf_token, s.expires_at, u.id, u.username, u.role
+        FROM admin_sessions s
+        JOIN admin_users u ON u.id = s.user_id
+        WHERE s.token_hash = ?
+      `, [hashToken(token)])
+
+      if (!session || new Date(session.expires_at) <= new Date()) {
+        clearSessionCookie(res)
+        return res.status(401).json({ error: 'Session expired. Please log in again.' })
+      }
+
+      req.admin = { id: session.id, username: session.username, role: session.role }
+      req.csrfToken = session.csrf_token
+      next()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+/**
+ * Middleware: reject state-changing requests whose X-CSRF-Token header
+ * does not match the session's token. Must run after requireAdmin.
+ */
+export function requireCsrf(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) {
+    return next()
+  }
+  if (!tokensMatch(req.get(CSRF_HEADER), req.csrfToken)) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token' })
+  }
+  next()
+}
+
+/**
+ * True when an admin ({ role }) holds at least `role`
+ */
+export function hasRole(admin, role) {
+  return Boolean(admin) && ROLES.indexOf(admin.role) >= ROLES.indexOf(role)
+}
+
+/**
+ * Middleware: allow the request only if the admin holds at least `role`.
+ * Must run after requireAdmin.
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.admin, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` })
+    }
+    next()
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Moderation audit log
+ * One append-only row per moderation action: who did it, to which submission,
+ * the submission's status before and after, and the reason when given.
+ */
+
+import { STATUS_VALUES, decodeCursor, encodeCursor } from './submission-filters.js'
+
+export const AUDIT_ACTIONS = [
+  'approve', 'reject', 'pending', 'delete', 'tag', 'edit', 'withdraw',
+  'unpublish', 'republish', 'delete_image', 'restore', 'purge', 'schedule', 'publish'
+]
+export const MAX_REASON_LENGTH = 500
+export const DEFAULT_PAGE_SIZE = 50
+export const MAX_PAGE_SIZE = 200
+
+// Actor recorded for changes submitters make with their edit token
+export const SUBMITTER = { id: null, username: 'submitter' }
+
+// Actor recorded for scheduled jobs such as the trash purge
+export const SYSTEM = { id: null, username: 'system' }
+
+/**
+ * Status name (pending, approved, rejected) for an `approved` value
+ */
+export function statusName(approved) {
+  return Object.keys(STATUS_VALUES).find(name => STATUS_VALUES[name] === approved) || null
+}
+
+/**
+ * Validate an optional moderation reason.
+ * Returns { reason } (null when none was given) or { error }.
+ */
+export function parseReason(input) {
+  if (input === undefined || input === null) return { reason: null }
+  if (typeof input !== 'string') return { error: 'Reason must be a string' }
+
+  const reason = input.trim()
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `Reason must be at most ${MAX_REASON_LENGTH} characters` }
+  }
+  return { reason: reason || null }
+}
+
+/**
+ * Append an audit entry. `admin` is the acting req.admin (or SUBMITTER, SYSTEM);
+ * `details` is stored as JSON.
+ */
+export async function recordAudit(db, { submissionId, admin, action, previousState = null, newState = null, reason = null, details = null }) {
+  await db.run(`
+    INSERT INTO moderation_audit
+      (submission_id, admin_user_id, actor, action, previous_state, new_state, reason, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    submissionId,
+    admin.id,
+    admin.username,
+    action,
+    previousState,
+    newState,
+    reason,
+    details ? JSON.stringify(details) : null,
+    new Date().toISOString()
+  ])
+}
+
+/**
+ * Validate audit list query parameters: submissionId, actor, action, cursor, limit.
+ * Returns { filters } or { error }.
+ */
+export function parseAuditFilters(query) {
+  const filters = { submissionId: null, actor: null, action: null, cursor: null, limit: DEFAULT_PAGE_SIZE }
+
+  if (query.submissionId !== undefined) {
+    filters.submissionId = parseInt(query.submissionId)
+    if (!(filters.submissionId >= 1)) return { error: 'Invalid submissionId' }
+  }
+  if (query.actor) {
+    filters.actor = String(query.actor)
+  }
+  if (query.action) {
+    if (!AUDIT_ACTIONS.includes(query.action)) {
+      return { error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` }
+    }
+    filters.action = query.action
+  }
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor)
+    if (filters.cursor === null) return { error: 'Invalid cursor' }
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit)
+    if (!(limit >= 1)) return { error: 'Limit must be a positive number' }
+    filters.limit = Math.min(limit, MAX_PAGE_SIZE)
+  }
+
+  return { filters }
+}
+
+/**
+ * One page of audit entries, newest first. Returns { entries, nextCursor }.
+ */
+export async function listAudit(db, filters) {
+  const conditions = []
+  const params = []
+  if (filters.submissionId !== null) {
+    conditions.push('submission_id = ?')
+    params.push(filters.submissionId)
+  }
+  if (filters.actor !== null) {
+    conditions.push('actor = ?')
+    params.push(filters.actor)
+  }
+  if (filters.action !== null) {
+    conditions.push('action = ?')
+    params.push(filters.action)
+  }
+  if (filters.cursor !== null) {
+    conditions.push('id < ?')
+    params.push(filters.cursor)
+  }
+
+  const rows = await db.all(`
+    SELECT * FROM moderation_audit
+    WHERE ${conditions.length > 0 ? conditions.join(' AND ') : '1 = 1'}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...params, filters.limit + 1])
+
+  const entries = rows.slice(0, filters.limit).map(row => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null
+  }))
+  const nextCursor = rows.length > filters.limit ? encodeCursor(entries[entries.length - 1].id) : null
+  return { entries, nextCursor }
+}
@@ -0,0 +1,137 @@
+/**
+ * Server configuration for meme2xyz
+ * One place for paths, limits and feature switches shared by every entry point.
+ */
+
+import path from 'path'
+import process from 'process'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const ROOT_DIR = path.resolve(path.dirname(__filename), '..')
+
+// Feature routers that createServer() knows how to mount
+export const FEATURES = ['submissions', 'admin', 'images', 'processing', 'app']
+
+export const defaultConfig = {
+  port: 3001,
+  rootDir: ROOT_DIR,
+  uploadsDir: path.join(ROOT_DIR, 'uploads'),
+  publicImagesDir: path.join(ROOT_DIR, 'public', 'images'),
+  thumbnailsDir: path.join(ROOT_DIR, 'public', 'thumbnails'),
+  archiveDir: path.join(ROOT_DIR, 'archive'), // Unpublished images and thumbnails (not served)
+  trashDir: path.join(ROOT_DIR, 'trash'), // Uploads of rejected and deleted submissions (not served)
+  previewsDir: path.join(ROOT_DIR, 'previews'), // Admin preview thumbnails of uploads (not served)
+  manifestFile: path.join(ROOT_DIR, 'public', 'images', 'images.json'), // Gallery list read by the homepage
+  libraryFile: path.join(ROOT_DIR, 'src', 'imageLibrary.json'), // ImageProcessor metadata for every processed image
+  distDir: path.join(ROOT_DIR, 'dist'),
+  adminPage: path.join(ROOT_DIR, 'admin.html'),
+
+  // 'sqlite' keeps data in storage.path; 'memory' uses a throwaway in-memory database
+  storage: {
+    backend: 'sqlite',
+    path: path.join(ROOT_DIR, 'memes.db')
+  },
+
+  limits: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    requestsPerWindow: 1000, // All routes, per IP
+    submissionsPerWindow: 50, // POST /api/submissions, per IP
+    loginAttemptsPerWindow: 10, // Failed admin logins, per IP
+    fileSize: 10 * 1024 * 1024, // 10MB
+    jsonBody: '1mb'
+  },
+
+  // Perceptual-hash distances (0-64 differing bits) for duplicate detection
+  duplicates: {
+    nearDistance: 10, // Flag submissions this close to a gallery image or pending submission
+    rejectDistance: null // Reject uploads this close outright; null only flags them
+  },
+
+  // Rejected and deleted submissions are purged after this long in the trash
+  trash: {
+    retentionDays: 30,
+    sweepIntervalMs: 60 * 60 * 1000 // How often to look for expired trash
+  },
+
+  // Output of the ImageProcessor when publishing
+  processing: {
+    widths: [320, 640, 960, 1280, 1920], // Responsive copies for srcset, skipped when wider than the original
+    maxGifBytes: 2 * 1024 * 1024, // GIF fallback of animated images is scaled down until it fits
+    minSimilarity: 0.97 // SSIM a smaller, lower-quality encoding needs to replace the default one
+  },
+
+  // How often scheduled images are checked for being due
+  scheduling: {
+    checkIntervalMs: 30 * 1000
+  },
+
+  features: {
+    submissions: true, // Public meme submission API
+    admin: true, // Admin panel, accounts and moderation API
+    images: true, // Gallery listing and static image serving
+    processing: false, // ImageProcessor upload/stats API (upload-server.js)
+    app: true // Built React app from dist/
+  },
+
+  security: {
+    helmet: true,
+    secureCookies: process.env.NODE_ENV === 'production'
+  }
+}
+
+/**
+ * Parse a comma separated feature list ("submissions,admin") into feature flags
+ */
+function parseFeatures(list) {
+  const enabled = list.split(',').map(name => name.trim()).filter(Boolean)
+  const unknown = enabled.filter(name => !FEATURES.includes(name))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown server feature(s): ${unknown.join(', ')}. Valid features: ${FEATURES.join(', ')}`)
+  }
+  return Object.fromEntries(FEATURES.map(name => [name, enabled.includes(name)]))
+}
+
+/**
+ * Settings taken from environment variables
+ */
+function configFromEnv(env) {
+  const config = {}
+
+  if (env.PORT) config.port = parseInt(env.PORT)
+  if (env.DB_PATH || env.STORAGE_BACKEND) {
+    config.storage = {}
+    if (env.DB_PATH) config.storage.path = path.resolve(env.DB_PATH)
+    if (env.STORAGE_BACKEND) config.storage.backend = env.STORAGE_BACKEND
+  }
+  if (env.SERVER_FEATURES) config.features = parseFeatures(env.SERVER_FEATURES)
+
+  return config
+}
+
+/**
+ * Build the effective config: defaults, then the entry point's overrides,
+ * then environment variables. Nested sections are merged one level deep.
+ */
+export function loadConfig(overrides = {}, env = process.env) {
+  const config = { ...defaultConfig }
+
+  for (const layer of [overrides, configFromEnv(env)]) {
+    for (const [key, value] of Object.entries(layer)) {
+      const isSection = value && typeof value === 'object' && !Array.isArray(value)
+      config[key] = isSection ? { ...config[key], ...value } : value
+    }
+  }
+
+  if (!['sqlite', 'memory'].includes(config.storage.backend)) {
+    throw new Error(`Unknown storage backend "${config.storage.backend}". Use "sqlite" or "memory".`)
+  }
+
+  // The ImageProcessor publishes everything in uploadsDir, which is also
+  // where submissions wait for moderation
+  if (config.features.processing && config.features.submissions) {
+    throw new Error('The processing and submissions features cannot be enabled together: processing would publish unmoderated submissions from the shared uploads folder.')
+  }
+
+  return config
+}
@@ -0,0 +1,379 @@
+/**
+ * SQLite access for meme2xyz
+ * Wraps sqlite3 in promises and keeps memes.db in step with the schema
+ * through numbered migrations.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import sqlite3Pkg from 'sqlite3'
+
+const sqlite3 = sqlite3Pkg.verbose()
+
+// Set to the Database while a transaction's work runs, so its statements
+// can be told apart from those of concurrent requests
+const transactionScope = new AsyncLocalStorage()
+
+/**
+ * Schema migrations, applied in order of `version`.
+ * Never edit a migration that has shipped - add a new one instead.
+ * `up` is either a SQL string or an async function receiving the Database.
+ */
+export const migrations = [
+  {
+    version: 1,
+    name: 'create_submissions',
+    up: `
+      CREATE TABLE IF NOT EXISTS submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        user_text TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        approved INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `
+  },
+  {
+    version: 2,
+    name: 'index_submissions_approved',
+    up: 'CREATE INDEX IF NOT EXISTS idx_submissions_approved ON submissions (approved)'
+  },
+  {
+    version: 3,
+    name: 'create_admin_auth',
+    up: `
+      CREATE TABLE admin_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('moderator', 'owner')),
+        created_at TEXT NOT NULL,
+        last_login_at TEXT
+      );
+      CREATE TABLE admin_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL REFERENCES admin_users (id) ON DELETE CASCADE,
+        csrf_token TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_admin_sessions_user ON admin_sessions (user_id);
+    `
+  },
+  {
+    version: 4,
+    name: 'add_submissions_image_name',
+    // Name of the processed library image once a submission is approved
+    up: 'ALTER TABLE submissions ADD COLUMN image_name TEXT'
+  },
+  {
+    version: 5,
+    name: 'unique_submissions_image_name',
+    up: 'CREATE UNIQUE INDEX idx_submissions_image_name ON submissions (image_name) WHERE image_name IS NOT NULL'
+  },
+  {
+    version: 6,
+    name: 'add_submissions_metadata_flags',
+    // Set when the upload's EXIF/XMP/IPTC was stripped, and when that included a location
+    up: `
+      ALTER TABLE submissions ADD COLUMN metadata_stripped INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE submissions ADD COLUMN location_removed INTEGER NOT NULL DEFAULT 0;
+    `
+  },
+  {
+    version: 7,
+    name: 'create_duplicate_detection',
+    // Hashes of uploads and gallery images, and the matches found for each new submission
+    up: `
+      ALTER TABLE submissions ADD COLUMN content_hash TEXT;
+      ALTER TABLE submissions ADD COLUMN perceptual_hash TEXT;
+      CREATE INDEX idx_submissions_content_hash ON submissions (content_hash);
+      CREATE TABLE image_hashes (
+        name TEXT PRIMARY KEY,
+        filename TEXT NOT NULL,
+        perceptual_hash TEXT NOT NULL,
+        hashed_at TEXT NOT NULL
+      );
+      CREATE TABLE submission_duplicates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id INTEGER NOT NULL REFERENCES submissions (id) ON DELETE CASCADE,
+        match_submission_id INTEGER REFERENCES submissions (id) ON DELETE CASCADE,
+        match_image_name TEXT,
+        distance INTEGER NOT NULL,
+        exact INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_submission_duplicates_submission ON submission_duplicates (submission_id);
+    `
+  },
+  {
+    version: 8,
+    name: 'create_tags_and_categories',
+    // Keyed by gallery image name (images.json), not by submission
+    up: `
+      CREATE TABLE categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE image_categories (
+        image_name TEXT PRIMARY KEY,
+        category_id INTEGER NOT NULL REFERENCES categories (id) ON DELETE CASCADE
+      );
+      CREATE TABLE image_tags (
+        image_name TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (image_name, tag)
+      );
+      CREATE INDEX idx_image_tags_tag ON image_tags (tag);
+    `
+  },
+  {
+    version: 9,
+    name: 'create_search_index',
+    // Rebuilt from images.json at startup; search_vocab lists indexed words for typo matching
+    up: `
+      CREATE VIRTUAL TABLE search_index USING fts5(
+        name, caption, tags, category,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+      CREATE VIRTUAL TABLE search_vocab USING fts5vocab(search_index, 'row');
+    `
+  },
+  {
+    version: 10,
+    name: 'create_moderation_audit',
+    // Append-only: no foreign key, so a submission's history outlives it, and
+    // triggers refuse updates and deletes
+    up: `
+      CREATE TABLE moderation_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id INTEGER NOT NULL,
+        admin_user_id INTEGER,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        previous_state TEXT,
+        new_state TEXT,
+        reason TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_moderation_audit_submission ON moderation_audit (submission_id);
+      CREATE TRIGGER moderation_audit_no_update BEFORE UPDATE ON moderation_audit
+      BEGIN
+        SELECT RAISE(ABORT, 'moderation_audit is append-only');
+      END;
+      CREATE TRIGGER moderation_audit_no_delete BEFORE DELETE ON moderation_audit
+      BEGIN
+        SELECT RAISE(ABORT, 'moderation_audit is append-only');
+      END;
+    `
+  },
+  {
+    version: 11,
+    name: 'add_submissions_status_token',
+    // SHA-256 of the token submitters use to look up their submission's status
+    up: `
+      ALTER TABLE submissions ADD COLUMN status_token_hash TEXT;
+      CREATE UNIQUE INDEX idx_submissions_status_token ON submissions (status_token_hash) WHERE status_token_hash IS NOT NULL;
+    `
+  },
+  {
+    version: 12,
+    name: 'add_submissions_edit_token',
+    // SHA-256 of the secret token that lets a submitter edit or withdraw a pending submission
+    up: 'ALTER TABLE submissions ADD COLUMN edit_token_hash TEXT'
+  },
+  {
+    version: 13,
+    name: 'create_unpublished_images',
+    // Manifest entries of images moved to the archive, and URLs clients must drop from their caches
+    up: `
+      CREATE TABLE unpublished_images (
+        name TEXT PRIMARY KEY,
+        entry TEXT NOT NULL,
+        unpublished_by TEXT,
+        unpublished_at TEXT NOT NULL
+      );
+      CREATE TABLE cache_invalidations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 14,
+    name: 'add_submissions_trash',
+    // trashed_at: upload moved to the trash (rejected or deleted); deleted_at: deleted by an admin
+    up: `
+      ALTER TABLE submissions ADD COLUMN trashed_at TEXT;
+      ALTER TABLE submissions ADD COLUMN deleted_at TEXT;
+      CREATE INDEX idx_submissions_trashed_at ON submissions (trashed_at) WHERE trashed_at IS NOT NULL;
+    `
+  },
+  {
+    version: 15,
+    name: 'add_unpublished_images_publish_at',
+    // Set for images held back until a scheduled publish time
+    up: `
+      ALTER TABLE unpublished_images ADD COLUMN publish_at TEXT;
+      CREATE INDEX idx_unpublished_images_publish_at ON unpublished_images (publish_at) WHERE publish_at IS NOT NULL;
+    `
+  }
+]
+
+class Database {
+  constructor(filename) {
+    this.filename = filename
+    this.db = null
+    this.transactionQueue = Promise.resolve()
+  }
+
+  /**
+   * Open the database file, creating it if needed
+   */
+  async open() {
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    })
+    // SQLite leaves foreign key enforcement off unless asked per connection
+    await this.exec('PRAGMA foreign_keys = ON')
+    return this
+  }
+
+  /**
+   * Run a write statement, resolving with { lastID, changes }
+   */
+  run(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) return reject(err)
+        resolve({ lastID: this.lastID, changes: this.changes })
+      })
+    }))
+  }
+
+  /**
+   * Fetch a single row (undefined when nothing matches)
+   */
+  get(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) return reject(err)
+        resolve(row)
+      })
+    }))
+  }
+
+  /**
+   * Fetch all matching rows
+   */
+  all(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) return reject(err)
+        resolve(rows)
+      })
+    }))
+  }
+
+  /**
+   * Execute one or more statements without parameters
+   */
+  exec(sql) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) return reject(err)
+        resolve()
+      })
+    }))
+  }
+
+  /**
+   * Start a statement. The connection is shared, so statements from outside
+   * an open transaction wait until it has finished instead of becoming part
+   * of it (and being rolled back with it).
+   */
+  schedule(statement) {
+    if (transactionScope.getStore() === this) return statement()
+    return this.transactionQueue.then(statement)
+  }
+
+  /**
+   * Run `work` inside a transaction, rolling back if it throws
+   */
+  transaction(work) {
+    // One transaction at a time: the connection is shared, and BEGIN inside
+    // another transaction would fail
+    const run = this.transactionQueue.then(() => transactionScope.run(this, async () => {
+      await this.exec('BEGIN IMMEDIATE')
+      try {
+        const result = await work(this)
+        await this.exec('COMMIT')
+        return result
+      } catch (error) {
+        await this.exec('ROLLBACK')
+        throw error
+      }
+    }))
+    this.transactionQueue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Apply every migration newer than the recorded schema version.
+   * Each migration runs in its own transaction together with its
+   * schema_migrations row, so a failed step leaves the previous version intact.
+   */
+  async migrate(list = migrations) {
+    await this.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_migrations')
+    const currentVersion = row?.version || 0
+    const pending = list
+      .filter(migration => migration.version > currentVersion)
+      .sort((a, b) => a.version - b.version)
+
+    for (const migration of pending) {
+      await this.transaction(async () => {
+        if (typeof migration.up === 'function') {
+          await migration.up(this)
+        } else {
+          await this.exec(migration.up)
+        }
+        await this.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        )
+      })
+      console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`)
+    }
+
+    return pending.length > 0 ? pending[pending.length - 1].version : currentVersion
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) return resolve()
+      this.db.close((err) => {
+        if (err) return reject(err)
+        this.db = null
+        resolve()
+      })
+    })
+  }
+}
+
+export default Database
@@ -0,0 +1,179 @@
+/**
+ * Duplicate detection for submissions
+ * Every upload gets a SHA-256 content hash and a 64-bit dHash (difference
+ * hash). Matching SHA-256 means the very same file; a small Hamming distance
+ * between dHashes means the same picture re-saved, resized or recompressed.
+ */
+
+import sharp from 'sharp'
+import crypto from 'crypto'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { readManifest } from './manifest.js'
+
+/**
+ * Difference hash: shrink to 9x8 greyscale and record, per row, whether each
+ * pixel is brighter than its right neighbour. Returns 16 hex characters.
+ */
+export async function perceptualHash(filePath) {
+  const pixels = await sharp(filePath, { pages: 1 })
+    .flatten({ background: '#ffffff' }) // Transparent areas compare as white
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer()
+
+  let hash = 0n
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n)
+    }
+  }
+  return hash.toString(16).padStart(16, '0')
+}
+
+/**
+ * SHA-256 of a file's bytes, hex encoded
+ */
+export async function contentHash(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex')
+}
+
+/**
+ * Number of differing bits between two dHashes (0 = identical, 64 = opposite)
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`)
+  let count = 0
+  while (diff) {
+    count += Number(diff & 1n)
+    diff >>= 1n
+  }
+  return count
+}
+
+/**
+ * Bring the hash index up to date: hash gallery images that are new or were
+ * re-processed, forget ones no longer in the manifest, and backfill pending
+ * submissions stored before hashing existed
+ */
+export async function syncImageHashes({ db, config }) {
+  const images = await readManifest(config.manifestFile)
+  const indexed = new Map(
+    (await db.all('SELECT name, filename FROM image_hashes')).map(row => [row.name, row.filename])
+  )
+
+  for (const image of images) {
+    if (indexed.get(image.name) === image.filename) continue
+    try {
+      const hash = await perceptualHash(path.join(config.publicImagesDir, image.filename))
+      await db.run(
+        'INSERT OR REPLACE INTO image_hashes (name, filename, perceptual_hash, hashed_at) VALUES (?, ?, ?, ?)',
+        [image.name, image.filename, hash, new Date().toISOString()]
+      )
+    } catch (error) {
+      console.warn(`Failed to hash gallery image ${image.filename}:`, error.message)
+    }
+  }
+
+  const published = new Set(images.map(image => image.name))
+  for (const name of indexed.keys()) {
+    if (!published.has(name)) {
+      await db.run('DELETE FROM image_hashes WHERE name = ?', [name])
+    }
+  }
+
+  const unhashed = await db.all('SELECT id, filename FROM submissions WHERE approved = 0 AND deleted_at IS NULL AND perceptual_hash IS NULL')
+  for (const submission of unhashed) {
+    try {
+      const filePath = path.join(config.uploadsDir, submission.filename)
+      await db.run(
+        'UPDATE submissions SET content_hash = ?, perceptual_hash = ? WHERE id = ?',
+        [await contentHash(filePath), await perceptualHash(filePath), submission.id]
+      )
+    } catch (error) {
+      console.warn(`Failed to hash submission ${submission.id}:`, error.message)
+    }
+  }
+}
+
+/**
+ * Gallery images and pending submissions that look like the given hashes,
+ * closest first. Each match is { type: 'image', name } or
+ * { type: 'submission', id, filename }, plus its distance and whether it is
+ * byte-for-byte the same file (exact).
+ */
+export async function findDuplicates({ db, config, hashes, excludeSubmissionId = null }) {
+  const maxDistance = config.duplicates.nearDistance
+  const matches = []
+
+  for (const image of await db.all('SELECT name, perceptual_hash FROM image_hashes')) {
+    const distance = hammingDistance(hashes.perceptualHash, image.perceptual_hash)
+    if (distance <= maxDistance) {
+      // Gallery files are re-encoded, so they can only ever be near matches
+      matches.push({ type: 'image', name: image.name, distance, exact: false })
+    }
+  }
+
+  const pending = await db.all(`
+    SELECT id, filename, content_hash, perceptual_hash
+    FROM submissions
+    WHERE approved = 0 AND deleted_at IS NULL AND perceptual_hash IS NOT NULL AND id IS NOT ?
+  `, [excludeSubmissionId])
+  for (const submission of pending) {
+    const exact = submission.content_hash === hashes.contentHash
+    const distance = exact ? 0 : hammingDistance(hashes.perceptualHash, submission.perceptual_hash)
+    if (distance <= maxDistance) {
+      matches.push({ type: 'submission', id: submission.id, filename: submission.filename, distance, exact })
+    }
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance)
+}
+
+/**
+ * Store the duplicate matches found for a submission
+ */
+export async function recordDuplicates(db, submissionId, matches) {
+  for (const match of matches) {
+    await db.run(`
+      INSERT INTO submission_duplicates (submission_id, match_submission_id, match_image_name, distance, exact)
+      VALUES (?, ?, ?, ?, ?)
+    `, [
+      submissionId,
+      match.type === 'submission' ? match.id : null,
+      match.type === 'image' ? match.name : null,
+      match.distance,
+      match.exact ? 1 : 0
+    ])
+  }
+}
+
+/**
+ * Recorded duplicate matches for a set of submissions, grouped by submission id
+ */
+export async function duplicatesBySubmission(db, submissionIds) {
+  const grouped = new Map()
+  if (submissionIds.length === 0) return grouped
+
+  const rows = await db.all(`
+    SELECT d.submission_id, d.match_submission_id, d.match_image_name, d.distance, d.exact,
+      s.filename AS match_filename
+    FROM submission_duplicates d
+    LEFT JOIN submissions s ON s.id = d.match_submission_id
+    WHERE d.submission_id IN (${submissionIds.map(() => '?').join(', ')})
+    ORDER BY d.distance
+  `, submissionIds)
+
+  for (const row of rows) {
+    const match = row.match_image_name !== null
+      ? { type: 'image', name: row.match_image_name }
+      : { type: 'submission', id: row.match_submission_id, filename: row.match_filename }
+    match.distance = row.distance
+    match.exact = row.exact === 1
+
+    if (!grouped.has(row.submission_id)) grouped.set(row.submission_id, [])
+    grouped.get(row.submission_id).push(match)
+  }
+  return grouped
+}
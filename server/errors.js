@@ -0,0 +1,21 @@
+/**
+ * Errors carrying the HTTP status the routes should answer with.
+ * Kept apart from the modules that throw them, so none of those has to
+ * import another just for its error helper.
+ */
+
+/**
+ * Error for a moderation or gallery action that cannot be done
+ */
+export function moderationError(status, message) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Error for uploads whose content is not an acceptable image (HTTP 415)
+ */
+export function unsupportedMedia(message) {
+  return moderationError(415, message)
+}
@@ -0,0 +1,107 @@
+/**
+ * Modern-format variants of gallery images
+ * The ImageProcessor writes AVIF and WebP copies next to each image it
+ * publishes, under the same name with a different extension. Gallery URLs
+ * keep pointing at the fallback file; negotiateFormat() serves the best
+ * variant the browser accepts instead.
+ */
+
+import path from 'path'
+import { promises as fs } from 'fs'
+
+// Most preferred first
+export const VARIANT_FORMATS = [
+  { format: 'avif', extension: '.avif', type: 'image/avif' },
+  { format: 'webp', extension: '.webp', type: 'image/webp' }
+]
+
+const VARIANT_EXTENSIONS = VARIANT_FORMATS.map(variant => variant.extension)
+
+/**
+ * File names the variants of `filename` would have
+ */
+export function variantFilenames(filename) {
+  const { name, ext } = path.parse(filename)
+  return VARIANT_EXTENSIONS.filter(extension => extension !== ext.toLowerCase()).map(extension => `${name}${extension}`)
+}
+
+/**
+ * `files` without the variants, i.e. AVIF/WebP files that share their name
+ * with another file in the list
+ */
+export function withoutVariants(files) {
+  const fallbackNames = new Set(files
+    .filter(file => !VARIANT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(file => path.parse(file).name))
+  return files.filter(file => !VARIANT_EXTENSIONS.includes(path.extname(file).toLowerCase()) ||
+    !fallbackNames.has(path.parse(file).name))
+}
+
+/**
+ * Media types an Accept header names explicitly with a non-zero quality.
+ * Wildcards are ignored: every browser sends one, but not every browser
+ * decodes AVIF.
+ */
+export function acceptedTypes(accept) {
+  const types = new Set()
+  for (const part of String(accept || '').split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';')
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='))
+    if (type && !type.includes('*') && !(q && parseFloat(q.slice(2)) === 0)) {
+      types.add(type)
+    }
+  }
+  return types
+}
+
+/**
+ * express.static `setHeaders` hook: its MIME table predates AVIF, which
+ * would otherwise go out as application/octet-stream
+ */
+export function setVariantType(res, filePath) {
+  const variant = VARIANT_FORMATS.find(({ extension }) => extension === path.extname(filePath).toLowerCase())
+  if (variant) res.setHeader('Content-Type', variant.type)
+}
+
+/**
+ * Middleware for a static image directory: when a requested image has
+ * variants, rewrite the request to the best one the client accepts and add
+ * `Vary: Accept`. Mount it right before express.static for the same folder.
+ */
+export function negotiateFormat(dir) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next()
+
+    let requested
+    try {
+      requested = decodeURIComponent(req.path)
+    } catch {
+      return next() // express.static answers malformed paths
+    }
+    const ext = path.extname(requested).toLowerCase()
+    if (!ext || VARIANT_EXTENSIONS.includes(ext) || requested.includes('..') || requested.includes('\0')) {
+      return next()
+    }
+
+    const base = requested.slice(0, -ext.length)
+    const available = []
+    for (const variant of VARIANT_FORMATS) {
+      try {
+        await fs.access(path.join(dir, `${base}${variant.extension}`))
+        available.push(variant)
+      } catch {
+        // This variant was never generated
+      }
+    }
+    if (available.length === 0) return next()
+
+    res.vary('Accept')
+    const accepted = acceptedTypes(req.get('Accept'))
+    const best = available.find(variant => accepted.has(variant.type))
+    if (best) {
+      const encodedBase = base.split('/').map(encodeURIComponent).join('/')
+      req.url = `${encodedBase}${best.extension}${req.url.slice(req.path.length)}`
+    }
+    next()
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Metadata scrubbing for stored images
+ * JPEG and PNG files lose their EXIF, XMP, IPTC and text segments without
+ * being re-encoded. Rotated photos and other formats get the EXIF orientation
+ * applied to their pixels and are rewritten without metadata, so phone
+ * photos cannot leak a location.
+ */
+
+import sharp from 'sharp'
+import { promises as fs } from 'fs'
+import { Buffer } from 'buffer'
+
+// EXIF IFD0 tag pointing at the GPS sub-IFD
+const GPS_IFD_TAG = 0x8825
+
+// JPEG segments that carry metadata: APP1 (EXIF, XMP), APP13 (IPTC) and comments.
+// APP2 holds the colour profile, except for the multi-picture index of
+// embedded images, which are dropped along with everything after the main image
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe])
+const JPEG_SOS = 0xda
+const JPEG_EOI = 0xd9
+
+// PNG chunks that carry metadata rather than pixels or colour
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'])
+const PNG_SIGNATURE_LENGTH = 8
+
+// Re-encode settings per sharp format; high quality since the optimized copy is made later
+const ENCODERS = {
+  jpeg: image => image.jpeg({ quality: 92 }),
+  png: image => image.png(),
+  gif: image => image.gif(),
+  webp: image => image.webp({ quality: 92 }),
+  tiff: image => image.tiff(),
+  heif: image => image.avif({ quality: 70 })
+}
+
+/**
+ * True when an EXIF block (as returned by sharp's metadata().exif) has a GPS IFD
+ */
+export function exifHasLocation(exif) {
+  if (!exif || exif.length < 14) return false
+
+  try {
+    const start = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0
+    const littleEndian = exif.toString('latin1', start, start + 2) === 'II'
+    const read16 = offset => littleEndian ? exif.readUInt16LE(start + offset) : exif.readUInt16BE(start + offset)
+    const read32 = offset => littleEndian ? exif.readUInt32LE(start + offset) : exif.readUInt32BE(start + offset)
+
+    const ifd0 = read32(4)
+    const entries = read16(ifd0)
+    for (let i = 0; i < entries; i++) {
+      if (read16(ifd0 + 2 + i * 12) === GPS_IFD_TAG) return true
+    }
+  } catch {
+    // Truncated or malformed EXIF - nothing we can read a location from
+  }
+  return false
+}
+
+/**
+ * True when image metadata carries a location in EXIF GPS tags or XMP
+ */
+export function hasLocationData(metadata) {
+  if (exifHasLocation(metadata.exif)) return true
+  return Boolean(metadata.xmp && /GPS(Latitude|Longitude)/.test(metadata.xmp.toString('utf8')))
+}
+
+/**
+ * Copy of a JPEG without its metadata segments, leaving the compressed image
+ * data as it is. Returns null when the file cannot be parsed.
+ */
+export function stripJpegMetadata(data) {
+  if (data[0] !== 0xff || data[1] !== 0xd8) return null
+
+  const kept = [data.subarray(0, 2)]
+  let offset = 2
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) return null
+    const marker = data[offset + 1]
+    const end = offset + 2 + data.readUInt16BE(offset + 2)
+    if (end > data.length) return null
+
+    if (marker === JPEG_SOS) {
+      // Entropy-coded data up to the end-of-image marker; 0xff bytes inside
+      // it are always followed by 0x00 or a restart/scan marker
+      let eoi = end
+      while (eoi + 1 < data.length && !(data[eoi] === 0xff && data[eoi + 1] === JPEG_EOI)) eoi++
+      if (eoi + 1 >= data.length) return null
+      kept.push(data.subarray(offset, eoi + 2))
+      return Buffer.concat(kept)
+    }
+
+    const multiPicture = marker === 0xe2 && data.toString('latin1', offset + 4, offset + 8) === 'MPF\0'
+    if (!JPEG_METADATA_MARKERS.has(marker) && !multiPicture) {
+      kept.push(data.subarray(offset, end))
+    }
+    offset = end
+  }
+  return null
+}
+
+/**
+ * Copy of a PNG without its EXIF, text and timestamp chunks. Returns null
+ * when the file cannot be parsed.
+ */
+export function stripPngMetadata(data) {
+  const kept = [data.subarray(0, PNG_SIGNATURE_LENGTH)]
+  let offset = PNG_SIGNATURE_LENGTH
+  while (offset + 12 <= data.length) {
+    const type = data.toString('latin1', offset + 4, offset + 8)
+    const end = offset + 12 + data.readUInt32BE(offset)
+    if (end > data.length) return null
+
+    if (!PNG_METADATA_CHUNKS.has(type)) kept.push(data.subarray(offset, end))
+    if (type === 'IEND') return Buffer.concat(kept)
+    offset = end
+  }
+  return null
+}
+
+const LOSSLESS_STRIPPERS = {
+  jpeg: stripJpegMetadata,
+  png: stripPngMetadata
+}
+
+/**
+ * Copy of a JPEG or PNG without its metadata and with its image data as it
+ * is. Resolves with null for other formats, or when the stripped copy does
+ * not decode or sharp still finds metadata in it.
+ */
+export async function stripMetadataLosslessly(data, format) {
+  const strip = LOSSLESS_STRIPPERS[format]
+  return strip ? verifiedCopy(strip(data)) : null
+}
+
+async function verifiedCopy(data) {
+  if (!data) return null
+  try {
+    const metadata = await sharp(data).metadata()
+    await sharp(data).resize(32, 32, { fit: 'inside' }).raw().toBuffer()
+    return metadata.exif || metadata.xmp || metadata.iptc || metadata.comments?.length ? null : data
+  } catch {
+    return null // fall back to re-encoding
+  }
+}
+
+/**
+ * Auto-rotate and strip metadata from an image file in place.
+ * Files without metadata or rotation are left untouched.
+ * @returns {Promise<{ stripped: boolean, locationRemoved: boolean, rotated: boolean }>}
+ */
+export async function scrubImageMetadata(filePath) {
+  const metadata = await sharp(filePath).metadata()
+  const rotated = (metadata.orientation || 1) > 1
+  const hasMetadata = Boolean(metadata.exif || metadata.xmp || metadata.iptc || metadata.comments?.length)
+
+  if (!rotated && !hasMetadata) {
+    return { stripped: false, locationRemoved: false, rotated: false }
+  }
+
+  // Unrotated JPEGs and PNGs keep their pixels exactly, so publishing can
+  // still pass the upload through unchanged
+  const copy = rotated ? null : await stripMetadataLosslessly(await fs.readFile(filePath), metadata.format)
+
+  const encode = ENCODERS[metadata.format]
+  if (!copy && !encode) {
+    throw new Error(`Cannot rewrite ${metadata.format} images`)
+  }
+
+  const tmpPath = `${filePath}.scrub`
+  try {
+    if (copy) {
+      await fs.writeFile(tmpPath, copy)
+    } else {
+      // Without withMetadata() sharp writes no EXIF/XMP/IPTC; keep the colour profile only
+      const animated = (metadata.pages || 1) > 1
+      const image = sharp(filePath, { animated }).keepIccProfile()
+      if (rotated) image.autoOrient()
+      await encode(image).toFile(tmpPath)
+    }
+    await fs.rename(tmpPath, filePath)
+  } catch (error) {
+    await fs.rm(tmpPath, { force: true })
+    throw error
+  }
+
+  return { stripped: true, locationRemoved: hasLocationData(metadata), rotated }
+}
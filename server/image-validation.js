@@ -0,0 +1,104 @@
+/**
+ * Content-based image validation for uploads
+ * Identifies files by their magic bytes and decodes them with sharp instead
+ * of trusting the client's MIME type or file extension.
+ */
+
+import sharp from 'sharp'
+import { promises as fs } from 'fs'
+import { Buffer } from 'buffer'
+import { unsupportedMedia } from './errors.js'
+
+// Formats we accept, with the extension we store them under and the MIME
+// types a browser may legitimately send for them
+export const IMAGE_FORMATS = {
+  jpeg: { extension: '.jpg', mimeType: 'image/jpeg', mimeTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'], sharpFormat: 'jpeg' },
+  png: { extension: '.png', mimeType: 'image/png', mimeTypes: ['image/png', 'image/x-png', 'image/apng'], sharpFormat: 'png' },
+  gif: { extension: '.gif', mimeType: 'image/gif', mimeTypes: ['image/gif'], sharpFormat: 'gif' },
+  webp: { extension: '.webp', mimeType: 'image/webp', mimeTypes: ['image/webp'], sharpFormat: 'webp' },
+  tiff: { extension: '.tiff', mimeType: 'image/tiff', mimeTypes: ['image/tiff'], sharpFormat: 'tiff' },
+  avif: { extension: '.avif', mimeType: 'image/avif', mimeTypes: ['image/avif'], sharpFormat: 'heif' }
+}
+
+const SNIFF_BYTES = 512
+
+/**
+ * Identify an image format from the first bytes of a file.
+ * Returns a key of IMAGE_FORMATS, 'svg', 'bmp', 'heif', or null when unrecognised.
+ */
+export function detectImageFormat(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end)
+
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg'
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) return 'png'
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif'
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp'
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff'
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12)
+    if (brand === 'avif' || brand === 'avis') return 'avif'
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'heif'
+  }
+  if (ascii(0, 2) === 'BM') return 'bmp'
+
+  // SVG is XML text: allow a BOM, XML declaration, comments and doctype before <svg
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart()
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE\s+svg[^>]*>\s*)?<svg[\s>]/i.test(text)) return 'svg'
+
+  return null
+}
+
+async function readHead(filePath) {
+  const handle = await fs.open(filePath, 'r')
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES)
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * Verify that a file really is an image of a supported format, that its
+ * content matches the claimed MIME type, and that sharp can decode it.
+ * Throws an error with status 415 otherwise.
+ * @returns {Promise<{ format, extension, mimeType, width, height }>}
+ */
+export async function verifyImageFile(filePath, claimedMimeType) {
+  const format = detectImageFormat(await readHead(filePath))
+
+  if (format === 'svg') {
+    throw unsupportedMedia('SVG images are not accepted. Please upload a PNG, JPEG, GIF or WebP image.')
+  }
+  if (!format || !IMAGE_FORMATS[format]) {
+    throw unsupportedMedia('File is not a supported image. Please upload a JPEG, PNG, GIF, WebP, TIFF or AVIF image.')
+  }
+
+  const spec = IMAGE_FORMATS[format]
+  const claimed = String(claimedMimeType || '').toLowerCase()
+  if (!spec.mimeTypes.includes(claimed)) {
+    throw unsupportedMedia(`File content is ${format.toUpperCase()} but it was sent as ${claimed || 'an unknown type'}.`)
+  }
+
+  // Decode the whole image (at a tiny output size) so truncated or crafted files fail here
+  let metadata
+  try {
+    metadata = await sharp(filePath).metadata()
+    if (metadata.format !== spec.sharpFormat) {
+      throw new Error(`sharp detected ${metadata.format}`)
+    }
+    await sharp(filePath).resize(32, 32, { fit: 'inside' }).raw().toBuffer()
+  } catch (error) {
+    console.warn(`Rejected undecodable ${format} upload:`, error.message)
+    throw unsupportedMedia('Image could not be decoded. The file may be corrupted.')
+  }
+
+  return {
+    format,
+    extension: spec.extension,
+    mimeType: spec.mimeType,
+    width: metadata.width,
+    height: metadata.height
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * meme2xyz server factory
+ * Builds the Express app from config, mounting only the enabled feature
+ * routers. Every entry point (server.js, upload-server.js) goes through here.
+ */
+
+import express from 'express'
+import multer from 'multer'
+import cors from 'cors'
+import path from 'path'
+import rateLimit from 'express-rate-limit'
+import helmet from 'helmet'
+import Database from './database.js'
+import ImageProcessor from '../image-processor.js'
+import { loadConfig } from './config.js'
+import { createUpload, INVALID_FILE_TYPE } from './upload.js'
+import { purgeExpiredSessions, requireAdmin, requireCsrf, requireRole } from './admin-auth.js'
+import { createSubmissionsRouter } from './routes/submissions.js'
+import { createAdminRouter } from './routes/admin.js'
+import { createImagesRouter } from './routes/images.js'
+import { createProcessingRouter } from './routes/processing.js'
+import { createSearchRouter } from './routes/search.js'
+import { rebuildSearchIndex } from './search.js'
+import { hideHiddenImages, importExclusions } from './visibility.js'
+import { sweepTrash } from './trash.js'
+import { publishDueImages } from './scheduler.js'
+import { syncImageHashes } from './duplicates.js'
+
+/**
+ * Create a server from config overrides (see config.js for the defaults).
+ * Resolves once the database is migrated and the processor, if enabled, is ready.
+ * @returns {Promise<{ app, config, db, processor, listen: Function, close: Function }>}
+ */
+export async function createServer(overrides = {}) {
+  const config = loadConfig(overrides)
+  const { features } = config
+  const app = express()
+  const timers = []
+
+  // General rate limiting
+  const generalLimiter = rateLimit({
+    windowMs: config.limits.windowMs,
+    max: config.limits.requestsPerWindow,
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+
+  // Middleware
+  if (config.security.helmet) {
+    app.use(helmet({
+      contentSecurityPolicy: {
+        directives: {
+          defaultSrc: ["'self'"],
+          styleSrc: ["'self'", "'unsafe-inline'"],
+          scriptSrc: ["'self'"],
+          imgSrc: ["'self'", "data:", "blob:"],
+          connectSrc: ["'self'"]
+        }
+      }
+    }))
+  }
+  app.use(cors())
+  app.use(express.json({ limit: config.limits.jsonBody }))
+  app.use(generalLimiter) // Apply rate limiting to all routes
+  // Ahead of all static files: dist/ carries a copy of public/images
+  app.use(hideHiddenImages(config))
+  if (features.app) {
+    app.use(express.static(config.distDir))
+  }
+
+  // Visibility used to come from a hand-edited exclusions.json
+  const hidden = await importExclusions(config)
+  if (hidden > 0) {
+    console.log(`🙈 Imported exclusions.json: ${hidden} images are now hidden`)
+  }
+
+  // Submissions and admin accounts live in SQLite
+  let db = null
+  if (features.submissions || features.admin) {
+    db = new Database(config.storage.backend === 'memory' ? ':memory:' : config.storage.path)
+    await db.open()
+    const schemaVersion = await db.migrate()
+    console.log(`Connected to ${config.storage.backend === 'memory' ? 'in-memory' : 'SQLite'} database (schema v${schemaVersion})`)
+
+    // images.json may have been edited by hand or by process-images.js
+    const indexed = await rebuildSearchIndex({ db, config })
+    console.log(`🔎 Search index built for ${indexed} images`)
+
+    // Same for the duplicate-detection hashes; publishing keeps them current after this
+    await syncImageHashes({ db, config })
+  }
+
+  // Approvals and the processing API both publish through the ImageProcessor;
+  // only the processing feature watches the uploads folder
+  let processor = null
+  if (features.admin || features.processing) {
+    processor = new ImageProcessor({
+      uploadsDir: config.uploadsDir,
+      publicDir: config.publicImagesDir,
+      thumbnailsDir: config.thumbnailsDir,
+      libraryFile: config.libraryFile,
+      widths: config.processing.widths,
+      maxGifBytes: config.processing.maxGifBytes,
+      minSimilarity: config.processing.minSimilarity
+    })
+    if (features.processing) {
+      await processor.initialize()
+    } else {
+      await processor.ensureDirectories()
+      await processor.loadImageLibrary()
+    }
+  }
+
+  // Feature routers
+  if (features.submissions) {
+    app.use(createSubmissionsRouter({ db, upload: createUpload(config), config }))
+  }
+  if (features.admin) {
+    app.use(createAdminRouter({ db, processor, config }))
+
+    // Drop expired admin sessions now and then hourly
+    const purgeSessions = () => purgeExpiredSessions(db)
+      .catch(err => console.warn('Failed to purge expired sessions:', err.message))
+    purgeSessions()
+    timers.push(setInterval(purgeSessions, 60 * 60 * 1000).unref())
+
+    // Move old rejected uploads into the trash and purge expired trash, now and periodically
+    const sweep = () => sweepTrash({ db, config })
+      .then(({ trashed, purged }) => {
+        if (trashed || purged) console.log(`🗑️ Trash sweep: ${trashed} moved to trash, ${purged} purged`)
+      })
+      .catch(err => console.warn('Failed to sweep trash:', err.message))
+    sweep()
+    timers.push(setInterval(sweep, config.trash.sweepIntervalMs).unref())
+
+    // Publish scheduled images that are due, including any that fell due while the server was down
+    const publishDue = () => publishDueImages({ db, config })
+      .then(names => names.forEach(name => console.log(`⏰ Published scheduled image ${name}`)))
+      .catch(err => console.warn('Failed to publish scheduled images:', err.message))
+    publishDue()
+    timers.push(setInterval(publishDue, config.scheduling.checkIntervalMs).unref())
+  }
+  if (features.processing) {
+    app.use(createProcessingRouter({
+      processor,
+      upload: createUpload(config, { naming: 'original' }),
+      config,
+      // Direct uploads skip moderation, so lock them to owners when accounts exist
+      guard: features.admin ? [requireAdmin(db), requireCsrf, requireRole('owner')] : []
+    }))
+  }
+  if (features.images) {
+    app.use(createImagesRouter({ db, config }))
+    if (db) {
+      app.use(createSearchRouter({ db, config }))
+    }
+  }
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      features: Object.keys(features).filter(name => features[name])
+    })
+  })
+
+  // Serve the main app for all other routes
+  if (features.app) {
+    app.get('*', (req, res) => {
+      res.sendFile(path.join(config.distDir, 'index.html'))
+    })
+  }
+
+  // Error handling middleware
+  // eslint-disable-next-line no-unused-vars
+  app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        const maxMB = Math.round(config.limits.fileSize / (1024 * 1024))
+        return res.status(400).json({ error: `File too large. Maximum size is ${maxMB}MB.` })
+      }
+    }
+
+    if (error.message === INVALID_FILE_TYPE) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    // Errors raised with an explicit status, e.g. 415 from upload content checks
+    if (error.status >= 400 && error.status < 500) {
+      return res.status(error.status).json({ error: error.message })
+    }
+
+    console.error('Server error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  })
+
+  let httpServer = null
+
+  /**
+   * Start listening on config.port, resolving with the http.Server
+   */
+  async function listen() {
+    await new Promise((resolve, reject) => {
+      httpServer = app.listen(config.port, resolve)
+      httpServer.once('error', reject)
+    })
+
+    const port = httpServer.address().port
+    console.log(`Server running on port ${port}`)
+    if (features.app) console.log(`Main site: http://localhost:${port}`)
+    if (features.admin) console.log(`Admin panel: http://localhost:${port}/admin`)
+    if (features.processing) console.log(`📤 Upload endpoint: http://localhost:${port}/upload`)
+
+    if (db) {
+      const { count: submissionCount } = await db.get('SELECT COUNT(*) AS count FROM submissions')
+      console.log(`Current submissions: ${submissionCount}`)
+    }
+    if (features.admin) {
+      const { count: adminCount } = await db.get('SELECT COUNT(*) AS count FROM admin_users')
+      if (adminCount === 0) {
+        console.warn('⚠️  No admin accounts yet - create one with: npm run create-admin -- <username> owner')
+      }
+    }
+    console.log(`🧩 Features: ${Object.keys(features).filter(name => features[name]).join(', ')}`)
+
+    return httpServer
+  }
+
+  /**
+   * Stop accepting connections and release the database
+   */
+  async function close() {
+    timers.forEach(clearInterval)
+    if (processor) {
+      await processor.stopWatching()
+    }
+    if (httpServer) {
+      await new Promise(resolve => httpServer.close(resolve))
+    }
+    if (db) {
+      await db.close()
+      console.log('Database connection closed')
+    }
+  }
+
+  return { app, config, db, processor, listen, close }
+}
+
+export default createServer
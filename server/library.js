@@ -0,0 +1,209 @@
+/**
+ * Taking images out of the gallery
+ * Unpublishing moves an image and its thumbnail from public/ into the
+ * archive directory (not served) and drops it from the manifest, so it can
+ * be republished unchanged later. Images approved for a later publish time
+ * are held in the archive the same way. Deleting removes the files for good.
+ * Either way the image's URLs are added to the cache invalidation list that
+ * the service worker polls, so browsers stop serving cached copies.
+ */
+
+import path from 'path'
+import { promises as fs } from 'fs'
+import { variantFilenames } from './image-formats.js'
+import { addToManifest, readManifest, updateManifest } from './manifest.js'
+import { moderationError } from './errors.js'
+import { indexImage } from './search.js'
+import { syncImageHashes } from './duplicates.js'
+
+// Served URLs whose cached copies go stale whenever the gallery changes
+export const GALLERY_LIST_URLS = ['/api/images', '/images/images.json']
+
+const MAX_INVALIDATIONS = 1000
+
+/**
+ * Public and archived locations of an image's files, including AVIF/WebP
+ * variants and responsive widths. Images added by hand may have no
+ * thumbnail, variants or widths.
+ */
+function imageFiles(config, entry) {
+  const locations = (dir, archiveSubdir, filename) => [filename, ...variantFilenames(filename)].map(file => ({
+    public: path.join(dir, file),
+    archived: path.join(config.archiveDir, archiveSubdir, file)
+  }))
+
+  const files = locations(config.publicImagesDir, 'images', entry.filename)
+  for (const { url } of entry.widths || []) {
+    files.push(...locations(path.join(config.publicImagesDir, 'sizes'), path.join('images', 'sizes'), path.basename(url)))
+  }
+  if (entry.thumbnailUrl) {
+    files.push(...locations(config.thumbnailsDir, 'thumbnails', path.basename(entry.thumbnailUrl)))
+  }
+  return files
+}
+
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true })
+  try {
+    await fs.rename(from, to)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+async function removeFile(file) {
+  try {
+    await fs.unlink(file)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+/**
+ * Record URLs that clients must drop from their caches
+ */
+export async function invalidateCachedUrls(db, urls) {
+  const now = new Date().toISOString()
+  for (const url of urls) {
+    await db.run('INSERT INTO cache_invalidations (url, created_at) VALUES (?, ?)', [url, now])
+  }
+}
+
+/**
+ * URLs invalidated after the given id, oldest first.
+ * Returns { latest, urls }; `latest` is the id to ask from next time.
+ */
+export async function cacheInvalidationsSince(db, afterId) {
+  const rows = await db.all(
+    'SELECT id, url FROM cache_invalidations WHERE id > ? ORDER BY id LIMIT ?',
+    [afterId, MAX_INVALIDATIONS]
+  )
+  return {
+    latest: rows.length > 0 ? rows[rows.length - 1].id : afterId,
+    urls: [...new Set(rows.map(row => row.url))]
+  }
+}
+
+/**
+ * URLs that show an image: its file, thumbnail and widths, plus the gallery lists
+ */
+export function entryUrls(entry) {
+  const widthUrls = (entry.widths || []).map(({ url }) => url)
+  return [entry.url, entry.thumbnailUrl, ...widthUrls, ...GALLERY_LIST_URLS].filter(Boolean)
+}
+
+/**
+ * Unpublished images, most recently unpublished first. Held images have
+ * `publish_at` set.
+ */
+export async function listUnpublished(db) {
+  const rows = await db.all('SELECT * FROM unpublished_images ORDER BY unpublished_at DESC')
+  return rows.map(row => ({
+    ...JSON.parse(row.entry),
+    unpublished_at: row.unpublished_at,
+    unpublished_by: row.unpublished_by,
+    publish_at: row.publish_at
+  }))
+}
+
+async function archiveImage({ db, config }, entry, admin, publishAt = null) {
+  for (const file of imageFiles(config, entry)) {
+    await moveFile(file.public, file.archived)
+  }
+  await db.run(
+    'INSERT OR REPLACE INTO unpublished_images (name, entry, unpublished_by, unpublished_at, publish_at) VALUES (?, ?, ?, ?, ?)',
+    [entry.name, JSON.stringify(entry), admin.username, new Date().toISOString(), publishAt]
+  )
+}
+
+/**
+ * Take a published image out of the gallery, keeping its files in the archive.
+ * Resolves with its manifest entry.
+ */
+export async function unpublishImage({ db, config }, name, admin) {
+  const entry = (await readManifest(config.manifestFile)).find(image => image.name === name)
+  if (!entry) {
+    throw moderationError(404, 'Image not found')
+  }
+
+  await archiveImage({ db, config }, entry, admin)
+  await updateManifest(config.manifestFile, images => images.filter(image => image.name !== name))
+  await invalidateCachedUrls(db, entryUrls(entry))
+  await indexImage({ db, config }, name)
+  await syncImageHashes({ db, config })
+  return entry
+}
+
+/**
+ * Keep a freshly processed image (not yet in the manifest) in the archive
+ * until `publishAt`
+ */
+export function holdImage({ db, config }, entry, admin, publishAt) {
+  return archiveImage({ db, config }, entry, admin, publishAt)
+}
+
+/**
+ * Set (or clear, with null) the time an unpublished image is published
+ */
+export async function scheduleImage(db, name, publishAt) {
+  const result = await db.run('UPDATE unpublished_images SET publish_at = ? WHERE name = ?', [publishAt, name])
+  if (result.changes === 0) {
+    throw moderationError(404, 'Unpublished image not found')
+  }
+}
+
+/**
+ * Put an unpublished image back into the gallery. Resolves with its manifest entry.
+ */
+export async function republishImage({ db, config }, name) {
+  const row = await db.get('SELECT entry FROM unpublished_images WHERE name = ?', [name])
+  if (!row) {
+    throw moderationError(404, 'Unpublished image not found')
+  }
+
+  const entry = JSON.parse(row.entry)
+  for (const file of imageFiles(config, entry)) {
+    await moveFile(file.archived, file.public)
+  }
+  await addToManifest(config.manifestFile, entry)
+  await db.run('DELETE FROM unpublished_images WHERE name = ?', [name])
+  await invalidateCachedUrls(db, GALLERY_LIST_URLS)
+  await indexImage({ db, config }, name)
+  await syncImageHashes({ db, config })
+  return entry
+}
+
+/**
+ * Permanently delete a published or unpublished image: files, manifest and
+ * library entries, tags and category. A submission it was published from
+ * keeps the slug, so the name is not reused for a different picture.
+ */
+export async function deleteImage({ db, processor, config }, name) {
+  const published = (await readManifest(config.manifestFile)).find(image => image.name === name)
+  const unpublished = await db.get('SELECT entry FROM unpublished_images WHERE name = ?', [name])
+  const entry = published || (unpublished && JSON.parse(unpublished.entry))
+  if (!entry) {
+    throw moderationError(404, 'Image not found')
+  }
+
+  for (const file of imageFiles(config, entry)) {
+    await removeFile(file.public)
+    await removeFile(file.archived)
+  }
+  if (published) {
+    await updateManifest(config.manifestFile, images => images.filter(image => image.name !== name))
+  }
+  if (processor.imageLibrary.delete(name)) {
+    await processor.saveImageLibrary()
+  }
+
+  await db.transaction(async () => {
+    await db.run('DELETE FROM unpublished_images WHERE name = ?', [name])
+    await db.run('DELETE FROM image_tags WHERE image_name = ?', [name])
+    await db.run('DELETE FROM image_categories WHERE image_name = ?', [name])
+    await invalidateCachedUrls(db, entryUrls(entry))
+  })
+  await indexImage({ db, config }, name)
+  await syncImageHashes({ db, config })
+  return entry
+}
@@ -0,0 +1,76 @@
+/**
+ * Gallery manifest (public/images/images.json) read by the homepage
+ * and the service worker. All writes go through one queue so concurrent
+ * approvals cannot overwrite each other's changes.
+ */
+
+import { promises as fs } from 'fs'
+import process from 'process'
+
+let writeQueue = Promise.resolve()
+
+/**
+ * Read the manifest, treating a missing file as an empty gallery
+ */
+export async function readManifest(manifestFile) {
+  try {
+    return JSON.parse(await fs.readFile(manifestFile, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+}
+
+/**
+ * Read-modify-write the manifest. `update` receives the current entries and
+ * returns the new list, which is sorted by name and written atomically.
+ */
+export function updateManifest(manifestFile, update) {
+  const run = writeQueue.then(async () => {
+    const images = await update(await readManifest(manifestFile))
+    images.sort((a, b) => a.name.localeCompare(b.name))
+
+    const tempFile = `${manifestFile}.${process.pid}.tmp`
+    await fs.writeFile(tempFile, JSON.stringify(images, null, 2))
+    await fs.rename(tempFile, manifestFile)
+    return images
+  })
+
+  // Keep the queue alive after a failed write
+  writeQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * Manifest entry for an ImageProcessor library record (or an existing
+ * manifest entry, when republishing). `width`/`height` are
+ * those of `url`; `widths` lists the responsive copies ({ width, url },
+ * narrowest first) for srcset. `animated` marks images whose `url` is an
+ * animation and `thumbnailUrl` its first frame.
+ */
+export function manifestEntry(image) {
+  const optimized = image.dimensions && image.dimensions.optimized
+  return {
+    name: image.name,
+    filename: image.filename,
+    extension: image.extension,
+    url: image.url,
+    thumbnailUrl: image.thumbnailUrl,
+    width: optimized ? optimized.width : image.width,
+    height: optimized ? optimized.height : image.height,
+    widths: image.widths ? image.widths.map(({ width, url }) => ({ width, url })) : undefined,
+    animated: image.animation || image.animated ? true : undefined,
+    visibility: image.visibility || 'public'
+  }
+}
+
+/**
+ * Add or replace a processed image in the manifest
+ */
+export function addToManifest(manifestFile, image) {
+  const entry = manifestEntry(image)
+  return updateManifest(manifestFile, images => [
+    ...images.filter(existing => existing.name !== entry.name),
+    entry
+  ])
+}
@@ -0,0 +1,129 @@
+/**
+ * Moderation actions shared by the single-submission and bulk admin routes.
+ * Failures are thrown as errors with an HTTP `status`.
+ */
+
+import path from 'path'
+import fs from 'fs'
+import { moderationError } from './errors.js'
+import { addToManifest, manifestEntry } from './manifest.js'
+import { holdImage, scheduleImage, unpublishImage } from './library.js'
+import { indexImage } from './search.js'
+import { syncImageHashes } from './duplicates.js'
+import { removePreview } from './previews.js'
+import { untrashFile } from './trash.js'
+import { uploadPath } from './upload.js'
+import {
+  collectTakenSlugs,
+  normalizeSlug,
+  suggestSlug,
+  uniqueSlug,
+  validateSlug,
+  withSlugLock
+} from './slugs.js'
+
+/**
+ * Normalize and check the slug a moderator asked for; null when none was given
+ */
+export function requestedSlugFor(input) {
+  if (typeof input !== 'string' || input.trim() === '') return null
+
+  const slug = normalizeSlug(input)
+  const slugError = validateSlug(slug)
+  if (slugError) {
+    throw moderationError(400, slugError)
+  }
+  return slug
+}
+
+/**
+ * Run a submission's upload through the ImageProcessor, add it to the
+ * gallery manifest and mark it approved. With `publishAt` the image is held
+ * back (approved by `admin`) until then instead of joining the manifest.
+ * An upload in the trash is moved back to uploads/. Resolves with the
+ * library image.
+ */
+export async function publishSubmission({ db, processor, config }, submission, requestedSlug = null, { publishAt = null, admin = null } = {}) {
+  const { id } = submission
+
+  // Pick the final slug, publish, and record it while holding the slug lock
+  // so a concurrent approval cannot claim the same name
+  let image
+  try {
+    image = await withSlugLock(async () => {
+      const taken = await collectTakenSlugs({ db, processor, config, excludeSubmissionId: id })
+      const slug = uniqueSlug(requestedSlug || submission.image_name || suggestSlug(submission), taken)
+
+      const processed = await processor.processImage(uploadPath(config, submission), slug)
+      if (!processed) return null
+
+      if (publishAt) {
+        await holdImage({ db, config }, manifestEntry(processed), admin, publishAt)
+      } else {
+        await addToManifest(config.manifestFile, processed)
+      }
+      await db.run(
+        'UPDATE submissions SET approved = 1, image_name = ?, trashed_at = NULL WHERE id = ?',
+        [processed.name, id]
+      )
+      if (submission.trashed_at) {
+        await untrashFile(config, submission.filename)
+      }
+      return processed
+    })
+  } catch (err) {
+    console.error(`Error publishing submission ${id}:`, err.message)
+    throw moderationError(500, 'Failed to publish image')
+  }
+  if (!image) {
+    throw moderationError(500, 'Failed to process image')
+  }
+
+  await indexImage({ db, config }, image.name)
+    .catch(err => console.warn(`Failed to index ${image.name} for search:`, err.message))
+  if (!publishAt) {
+    await syncImageHashes({ db, config })
+      .catch(err => console.warn(`Failed to hash ${image.name} for duplicate checks:`, err.message))
+  }
+
+  return image
+}
+
+/**
+ * Take an approved submission's image out of the gallery before the
+ * submission is deleted: unpublish it when it is live (its files go to the
+ * archive, where it stays until republished or deleted) and cancel a
+ * scheduled publish when it is held. Resolves with true when anything changed.
+ */
+export async function withdrawSubmissionImage({ db, config }, submission, admin) {
+  if (submission.approved !== 1 || !submission.image_name) return false
+
+  let withdrawn = false
+  try {
+    await unpublishImage({ db, config }, submission.image_name, admin)
+    withdrawn = true
+  } catch (err) {
+    if (err.status !== 404) throw err // 404: not in the gallery
+  }
+  try {
+    await scheduleImage(db, submission.image_name, null)
+    withdrawn = true
+  } catch (err) {
+    if (err.status !== 404) throw err // 404: not held either (deleted)
+  }
+  return withdrawn
+}
+
+/**
+ * Delete a submission's uploaded file and its admin preview, ignoring files
+ * that are already gone
+ */
+export function removeUploadFile(config, filename) {
+  fs.unlink(path.join(config.uploadsDir, filename), (err) => {
+    if (err && err.code !== 'ENOENT') {
+      console.warn('Failed to remove uploaded file:', err.message)
+    }
+  })
+  removePreview(config, filename)
+    .catch(err => console.warn('Failed to remove preview:', err.message))
+}
@@ -0,0 +1,57 @@
+/**
+ * Preview thumbnails of submitted uploads for the admin panel
+ * Uploads are not publicly served; moderators see them through
+ * GET /api/admin/submissions/:id/preview, which generates a small WebP the
+ * first time and keeps it in config.previewsDir (not served either).
+ */
+
+import path from 'path'
+import process from 'process'
+import { promises as fs } from 'fs'
+import sharp from 'sharp'
+import { uploadPath } from './upload.js'
+
+const PREVIEW_SIZE = { width: 400, height: 300 }
+
+function previewPath(config, filename) {
+  return path.join(config.previewsDir, `${path.parse(filename).name}.webp`)
+}
+
+/**
+ * Path of a submission's preview, generating it from the upload (wherever
+ * it is kept) when missing. Rejects with ENOENT when the upload is gone.
+ */
+export async function ensurePreview(config, submission) {
+  const file = previewPath(config, submission.filename)
+  try {
+    await fs.access(file)
+    return file
+  } catch {
+    // Not generated yet
+  }
+
+  const source = uploadPath(config, submission)
+  await fs.access(source)
+
+  await fs.mkdir(config.previewsDir, { recursive: true })
+  // Write under a temporary name so a concurrent request never sees half a file
+  const partial = `${file}.${process.pid}-${Date.now()}.tmp`
+  await sharp(source, { pages: 1 })
+    .rotate()
+    .resize(PREVIEW_SIZE.width, PREVIEW_SIZE.height, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toFile(partial)
+  await fs.rename(partial, file)
+  return file
+}
+
+/**
+ * Delete a submission's preview, ignoring previews that were never generated
+ */
+export async function removePreview(config, filename) {
+  try {
+    await fs.unlink(previewPath(config, filename))
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
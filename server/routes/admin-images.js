@@ -0,0 +1,255 @@
+/**
+ * Admin routes for gallery images: tags, categories, visibility, the
+ * category list and unpublishing, scheduling and deleting images. Mounted
+ * by the admin router behind its session and CSRF checks.
+ */
+
+import express from 'express'
+import { requireRole } from '../admin-auth.js'
+import { recordAudit } from '../audit.js'
+import { deleteImage, listUnpublished, republishImage, scheduleImage, unpublishImage } from '../library.js'
+import { parsePublishAt } from '../scheduler.js'
+import { readManifest } from '../manifest.js'
+import { VISIBILITIES, setImageVisibility, visibilityOf } from '../visibility.js'
+import { indexImage } from '../search.js'
+import {
+  getImageTaxonomy,
+  normalizeCategoryName,
+  parseTags,
+  setImageCategory,
+  setImageTags,
+  withTaxonomy
+} from '../tags.js'
+
+export function createAdminImagesRouter({ db, processor, config }) {
+  const router = express.Router()
+
+  // Record a library action against the submission the image was published from, if any
+  async function auditImageAction(name, action, admin, details = {}) {
+    try {
+      const submission = await db.get('SELECT id FROM submissions WHERE image_name = ?', [name])
+      if (!submission) return
+      await recordAudit(db, {
+        submissionId: submission.id,
+        admin,
+        action,
+        previousState: 'approved',
+        newState: 'approved',
+        details: { slug: name, ...details }
+      })
+    } catch (err) {
+      console.error(`Failed to audit ${action} of ${name}:`, err.message)
+    }
+  }
+
+  // Gallery images with their tags, category and visibility: published ones
+  // first (`published: true`), then unpublished ones (`publish_at` is set on
+  // those scheduled for publishing)
+  router.get('/api/admin/images', requireRole('moderator'), async (req, res) => {
+    try {
+      const taxonomy = await getImageTaxonomy(db)
+      const published = withTaxonomy(await readManifest(config.manifestFile), taxonomy)
+      const unpublished = withTaxonomy(await listUnpublished(db), taxonomy)
+      res.json([
+        ...published.map(image => ({ ...image, visibility: visibilityOf(image), published: true })),
+        ...unpublished.map(image => ({ ...image, visibility: visibilityOf(image), published: false }))
+      ])
+    } catch (err) {
+      console.error('Error listing images:', err.message)
+      res.status(500).json({ error: 'Failed to fetch images' })
+    }
+  })
+
+  // Update an image's tags, category and/or visibility. `category` is a
+  // category name, or null to clear it.
+  router.patch('/api/admin/images/:name', requireRole('moderator'), async (req, res) => {
+    const { name } = req.params
+    const { tags, category, visibility } = req.body
+
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` })
+    }
+
+    let parsedTags = null
+    if (tags !== undefined) {
+      const parsed = parseTags(tags)
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+      parsedTags = parsed.tags
+    }
+
+    try {
+      const images = await readManifest(config.manifestFile)
+      if (!images.some(image => image.name === name)) {
+        return res.status(404).json({ error: 'Image not found' })
+      }
+
+      let categoryId
+      if (category === null || category === '') {
+        categoryId = null
+      } else if (category !== undefined) {
+        const row = await db.get('SELECT id FROM categories WHERE name = ?', [normalizeCategoryName(category)])
+        if (!row) {
+          return res.status(400).json({ error: `Unknown category "${category}"` })
+        }
+        categoryId = row.id
+      }
+
+      if (parsedTags !== null) await setImageTags(db, name, parsedTags)
+      if (categoryId !== undefined) await setImageCategory(db, name, categoryId)
+      let entry = images.find(image => image.name === name)
+      if (visibility !== undefined) {
+        entry = await setImageVisibility({ db, config }, name, visibility) // Re-indexes it too
+      } else {
+        await indexImage({ db, config }, name)
+      }
+
+      const [image] = withTaxonomy([entry], await getImageTaxonomy(db))
+      console.log(`Image ${name} updated by ${req.admin.username}:`, { tags: image.tags, category: image.category, visibility: image.visibility || 'public' })
+      res.json({ success: true, image })
+    } catch (err) {
+      console.error('Error updating image:', err.message)
+      res.status(500).json({ error: 'Failed to update image' })
+    }
+  })
+
+  // Take an image out of the gallery; its files are archived until republished
+  router.post('/api/admin/images/:name/unpublish', requireRole('moderator'), async (req, res) => {
+    const { name } = req.params
+
+    try {
+      await unpublishImage({ db, config }, name, req.admin)
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message })
+      console.error('Error unpublishing image:', err.message)
+      return res.status(500).json({ error: 'Failed to unpublish image' })
+    }
+
+    await auditImageAction(name, 'unpublish', req.admin)
+    console.log(`Image ${name} unpublished by ${req.admin.username}`)
+    res.json({ success: true, message: 'Image unpublished' })
+  })
+
+  // Put an unpublished image back into the gallery
+  router.post('/api/admin/images/:name/republish', requireRole('moderator'), async (req, res) => {
+    const { name } = req.params
+
+    try {
+      await republishImage({ db, config }, name)
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message })
+      console.error('Error republishing image:', err.message)
+      return res.status(500).json({ error: 'Failed to republish image' })
+    }
+
+    await auditImageAction(name, 'republish', req.admin)
+    console.log(`Image ${name} republished by ${req.admin.username}`)
+    res.json({ success: true, message: 'Image republished' })
+  })
+
+  // Publish an unpublished image automatically at `publishAt`, or stop
+  // doing so when it is null
+  router.post('/api/admin/images/:name/schedule', requireRole('moderator'), async (req, res) => {
+    const { name } = req.params
+    const { publishAt, error } = parsePublishAt(req.body.publishAt)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    try {
+      await scheduleImage(db, name, publishAt)
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message })
+      console.error('Error scheduling image:', err.message)
+      return res.status(500).json({ error: 'Failed to schedule image' })
+    }
+
+    await auditImageAction(name, 'schedule', req.admin, { publish_at: publishAt })
+    console.log(`Image ${name} ${publishAt ? `scheduled for ${publishAt}` : 'unscheduled'} by ${req.admin.username}`)
+    res.json({ success: true, message: publishAt ? `Image will be published at ${publishAt}` : 'Image unscheduled', publishAt })
+  })
+
+  // Permanently delete a published or unpublished image (owners only)
+  router.delete('/api/admin/images/:name', requireRole('owner'), async (req, res) => {
+    const { name } = req.params
+
+    try {
+      await deleteImage({ db, processor, config }, name)
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message })
+      console.error('Error deleting image:', err.message)
+      return res.status(500).json({ error: 'Failed to delete image' })
+    }
+
+    await auditImageAction(name, 'delete_image', req.admin)
+    console.log(`Image ${name} deleted by ${req.admin.username}`)
+    res.json({ success: true, message: 'Image deleted' })
+  })
+
+  // Category list with the number of images in each
+  router.get('/api/admin/categories', requireRole('moderator'), async (req, res) => {
+    try {
+      const categories = await db.all(`
+        SELECT c.id, c.name, c.created_at, COUNT(ic.image_name) AS image_count
+        FROM categories c
+        LEFT JOIN image_categories ic ON ic.category_id = c.id
+        GROUP BY c.id
+        ORDER BY c.name COLLATE NOCASE
+      `)
+      res.json(categories)
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch categories' })
+    }
+  })
+
+  // Add a category
+  router.post('/api/admin/categories', requireRole('moderator'), async (req, res) => {
+    const name = normalizeCategoryName(req.body.name)
+    if (!name) {
+      return res.status(400).json({ error: 'Category name is required' })
+    }
+
+    try {
+      const existing = await db.get('SELECT id FROM categories WHERE name = ?', [name])
+      if (existing) {
+        return res.status(409).json({ error: `Category "${name}" already exists` })
+      }
+
+      const result = await db.run(
+        'INSERT INTO categories (name, created_at) VALUES (?, ?)',
+        [name, new Date().toISOString()]
+      )
+      console.log(`Category "${name}" created by ${req.admin.username}`)
+      res.status(201).json({ success: true, category: { id: result.lastID, name, image_count: 0 } })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to create category' })
+    }
+  })
+
+  // Delete a category; its images become uncategorized (owners only)
+  router.delete('/api/admin/categories/:id', requireRole('owner'), async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      const images = await db.all('SELECT image_name FROM image_categories WHERE category_id = ?', [id])
+      const result = await db.run('DELETE FROM categories WHERE id = ?', [id])
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Category not found' })
+      }
+      for (const image of images) {
+        await indexImage({ db, config }, image.image_name)
+      }
+
+      console.log(`Category ${id} deleted by ${req.admin.username}`)
+      res.json({ success: true, message: 'Category deleted' })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to delete category' })
+    }
+  })
+
+  return router
+}
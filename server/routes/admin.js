@@ -0,0 +1,737 @@
+/**
+ * Admin routes: the /admin page, login/session handling, submission
+ * moderation and admin account management under /api/admin
+ */
+
+import express from 'express'
+import rateLimit from 'express-rate-limit'
+import {
+  ROLES,
+  clearSessionCookie,
+  createSession,
+  destroySession,
+  destroyUserSessions,
+  getSessionToken,
+  hasRole,
+  hashPassword,
+  publicUser,
+  requireAdmin,
+  requireCsrf,
+  requireRole,
+  setSessionCookie,
+  validateAccountInput,
+  verifyPassword
+} from '../admin-auth.js'
+import { listAudit, parseAuditFilters, parseReason, recordAudit, statusName } from '../audit.js'
+import { duplicatesBySubmission } from '../duplicates.js'
+import { parsePublishAt } from '../scheduler.js'
+import { indexImage } from '../search.js'
+import { moderationError } from '../errors.js'
+import { publishSubmission, requestedSlugFor, withdrawSubmissionImage } from '../moderation.js'
+import { addImageTags, parseTags } from '../tags.js'
+import { STATUS_VALUES, encodeCursor, parseSubmissionFilters, submissionWhereClause } from '../submission-filters.js'
+import { ensurePreview } from '../previews.js'
+import { listTrash, restoreSubmission, trashFile, untrashFile } from '../trash.js'
+import { uploadPath } from '../upload.js'
+import { createAdminImagesRouter } from './admin-images.js'
+import {
+  collectTakenSlugs,
+  normalizeSlug,
+  suggestSlug,
+  uniqueSlug,
+  validateSlug
+} from '../slugs.js'
+
+const BULK_ACTIONS = ['approve', 'reject', 'delete', 'tag']
+const MAX_BULK_IDS = 100
+
+// What the audit log keeps about a deleted submission, and whether its
+// image was taken out of the gallery with it
+function deletedDetails(submission) {
+  const details = { original_name: submission.original_name, image_name: submission.image_name }
+  if (submission.approved === 1 && submission.image_name) details.unpublished = true
+  return details
+}
+
+const WITHDRAW_FAILED = 'Submission deleted, but its image could not be unpublished'
+
+// A published submission keeps its status; its image is unpublished instead
+const ALREADY_PUBLISHED = 'Submission is already approved; unpublish its image or delete the submission instead'
+
+// Moves the file when a submission enters or leaves the trash (run after the
+// database change is committed)
+function moveUploadFor(config, submission, trashed) {
+  if (trashed === Boolean(submission.trashed_at)) return Promise.resolve()
+  return (trashed ? trashFile : untrashFile)(config, submission.filename)
+    .catch(err => console.warn(`Failed to move upload of submission ${submission.id}:`, err.message))
+}
+
+export function createAdminRouter({ db, processor, config }) {
+  const router = express.Router()
+
+  // Rate limiting for admin logins (only failed attempts count)
+  const loginLimiter = rateLimit({
+    windowMs: config.limits.windowMs,
+    max: config.limits.loginAttemptsPerWindow,
+    skipSuccessfulRequests: true,
+    message: {
+      error: 'Too many login attempts from this IP. Please try again in 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+
+  // Admin panel page (handles its own login)
+  router.get('/admin', (req, res) => {
+    res.sendFile(config.adminPage)
+  })
+
+  // Admin login - the only /api/admin route reachable without a session
+  router.post('/api/admin/login', loginLimiter, async (req, res) => {
+    const { username, password } = req.body || {}
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' })
+    }
+
+    try {
+      const user = await db.get('SELECT * FROM admin_users WHERE username = ?', [username])
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        console.warn(`🔒 Failed admin login for "${username.substring(0, 32)}" from ${req.ip}`)
+        return res.status(401).json({ error: 'Invalid username or password' })
+      }
+
+      const now = new Date().toISOString()
+      await db.run('UPDATE admin_users SET last_login_at = ? WHERE id = ?', [now, user.id])
+      const session = await createSession(db, user.id)
+      setSessionCookie(res, session, { secure: config.security.secureCookies })
+
+      console.log(`🔓 Admin login: ${user.username} (${user.role})`)
+      res.json({
+        success: true,
+        user: publicUser({ ...user, last_login_at: now }),
+        csrfToken: session.csrfToken
+      })
+    } catch (err) {
+      console.error('Login error:', err.message)
+      res.status(500).json({ error: 'Login failed' })
+    }
+  })
+
+  // Every other admin route needs a session, and a CSRF token for writes
+  router.use('/api/admin', requireAdmin(db), requireCsrf)
+
+  // Tags, categories and unpublishing of gallery images
+  router.use(createAdminImagesRouter({ db, processor, config }))
+
+  // Current session (used by admin.html on load)
+  router.get('/api/admin/session', (req, res) => {
+    res.json({ user: req.admin, csrfToken: req.csrfToken })
+  })
+
+  router.post('/api/admin/logout', async (req, res) => {
+    try {
+      await destroySession(db, getSessionToken(req))
+    } catch (err) {
+      console.warn('Failed to destroy session:', err.message)
+    }
+    clearSessionCookie(res)
+    res.json({ success: true })
+  })
+
+  // List submissions for review, one page at a time. Query parameters:
+  // status, from, to, q, sort (newest|oldest), cursor, limit
+  router.get('/api/admin/submissions', requireRole('moderator'), async (req, res) => {
+    const { filters, error } = parseSubmissionFilters(req.query)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    try {
+      const { where, params } = submissionWhereClause(filters)
+      const rows = await db.all(`
+        SELECT id, filename, original_name, user_text, timestamp, approved, image_name,
+          metadata_stripped, location_removed, created_at
+        FROM submissions
+        WHERE ${where}
+        ORDER BY id ${filters.sort === 'newest' ? 'DESC' : 'ASC'}
+        LIMIT ?
+      `, [...params, filters.limit + 1]) // One extra row tells us whether there is a next page
+
+      const submissions = rows.slice(0, filters.limit)
+      const nextCursor = rows.length > filters.limit ? encodeCursor(submissions[submissions.length - 1].id) : null
+
+      // Offer a free slug for everything that can still be approved
+      const taken = await collectTakenSlugs({ db, processor, config })
+      for (const submission of submissions) {
+        if (submission.approved !== 1) {
+          const slug = uniqueSlug(suggestSlug(submission), taken)
+          submission.suggested_slug = slug
+          taken.add(slug) // Keep suggestions within this page distinct
+        }
+      }
+
+      // Possible duplicates found when each submission arrived
+      const duplicates = await duplicatesBySubmission(db, submissions.map(submission => submission.id))
+      for (const submission of submissions) {
+        submission.duplicates = duplicates.get(submission.id) || []
+      }
+
+      // Totals per status for everything matching the filters (ignoring status and paging)
+      const countFilter = submissionWhereClause({ ...filters, status: 'all' }, { paginate: false })
+      const countRows = await db.all(
+        `SELECT approved, COUNT(*) AS count FROM submissions WHERE ${countFilter.where} GROUP BY approved`,
+        countFilter.params
+      )
+      const counts = { total: 0, pending: 0, approved: 0, rejected: 0 }
+      for (const row of countRows) {
+        const status = Object.keys(STATUS_VALUES).find(name => STATUS_VALUES[name] === row.approved)
+        if (status) counts[status] = row.count
+        counts.total += row.count
+      }
+
+      console.log(`📊 Admin API called - returning ${submissions.length} of ${counts.total} submissions`)
+      res.json({ submissions, nextCursor, counts })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch submissions' })
+    }
+  })
+
+  // Approve/reject a submission. Approval runs the upload through the
+  // ImageProcessor and publishes it to the gallery manifest, or holds it
+  // until `publishAt`; rejection moves the upload to the trash. Every change
+  // is recorded in the audit log, with the optional `reason`.
+  router.patch('/api/admin/submissions/:id', requireRole('moderator'), async (req, res) => {
+    const id = parseInt(req.params.id)
+    const { approved } = req.body
+
+    if (approved !== 0 && approved !== 1 && approved !== -1) {
+      return res.status(400).json({ error: 'Approved must be 0, 1, or -1' })
+    }
+    const { reason, error: reasonError } = parseReason(req.body.reason)
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError })
+    }
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt)
+    if (publishAtError) {
+      return res.status(400).json({ error: publishAtError })
+    }
+    if (publishAt && approved !== 1) {
+      return res.status(400).json({ error: 'A publish time can only be given when approving' })
+    }
+
+    let submission
+    try {
+      submission = await db.get('SELECT * FROM submissions WHERE id = ? AND deleted_at IS NULL', [id])
+    } catch (err) {
+      console.error('Database error:', err.message)
+      return res.status(500).json({ error: 'Failed to update submission' })
+    }
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' })
+    }
+    if (submission.approved === 1) {
+      return res.status(409).json({ error: approved === 1 ? 'Submission is already approved' : ALREADY_PUBLISHED })
+    }
+
+    const audit = {
+      submissionId: id,
+      admin: req.admin,
+      action: approved === 1 ? 'approve' : approved === -1 ? 'reject' : 'pending',
+      previousState: statusName(submission.approved),
+      newState: statusName(approved),
+      reason
+    }
+
+    let image = null
+    if (approved === 1) {
+      try {
+        image = await publishSubmission(
+          { db, processor, config },
+          submission,
+          requestedSlugFor(req.body.slug),
+          { publishAt, admin: req.admin }
+        )
+      } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message })
+      }
+      // The image is already public (or scheduled), so a failed audit write cannot undo it
+      await recordAudit(db, { ...audit, details: publishAt ? { slug: image.name, publish_at: publishAt } : { slug: image.name } })
+        .catch(err => console.error(`Failed to audit approval of submission ${id}:`, err.message))
+    } else {
+      const trashedAt = approved === -1 ? submission.trashed_at || new Date().toISOString() : null
+      try {
+        await db.transaction(async () => {
+          await db.run('UPDATE submissions SET approved = ?, trashed_at = ? WHERE id = ?', [approved, trashedAt, id])
+          await recordAudit(db, audit)
+        })
+      } catch (err) {
+        console.error('Database error:', err.message)
+        return res.status(500).json({ error: 'Failed to update submission' })
+      }
+      await moveUploadFor(config, submission, approved === -1)
+    }
+
+    console.log(`Submission ${id} ${approved === 1 ? `approved as ${image.name}${publishAt ? ` for ${publishAt}` : ''}` : approved === -1 ? 'rejected' : 'set to pending'} by ${req.admin.username}`)
+
+    res.json({
+      success: true,
+      message: approved === 1
+        ? publishAt ? `Submission approved, publishing at ${publishAt}` : 'Submission approved'
+        : approved === -1 ? 'Submission rejected' : 'Submission set to pending',
+      slug: image ? image.name : null,
+      publishAt,
+      image
+    })
+  })
+
+  // Approve, reject, delete or tag many submissions at once. Body:
+  // { action: 'approve'|'reject'|'delete'|'tag', ids: [...], tags?, reason?, publishAt? }
+  // Rejects and deletes move uploads to the trash; deleting a published
+  // submission unpublishes its image, and published ones cannot be rejected.
+  // Rejects, deletes and tags are written in one transaction; approvals
+  // publish files, so each one stands on its own. Every id gets a result
+  // entry, so partial failures are visible to the caller.
+  router.post('/api/admin/submissions/bulk', requireRole('moderator'), async (req, res) => {
+    const { action, ids, tags } = req.body || {}
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${BULK_ACTIONS.join(', ')}` })
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'Ids must be a non-empty array of submission ids' })
+    }
+    if (ids.length > MAX_BULK_IDS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_IDS} submissions can be changed at once` })
+    }
+    if (action === 'delete' && !hasRole(req.admin, 'owner')) {
+      return res.status(403).json({ error: 'Insufficient permissions' })
+    }
+    const { reason, error: reasonError } = parseReason(req.body.reason)
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError })
+    }
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt)
+    if (publishAtError) {
+      return res.status(400).json({ error: publishAtError })
+    }
+    if (publishAt && action !== 'approve') {
+      return res.status(400).json({ error: 'A publish time can only be given when approving' })
+    }
+
+    let parsedTags = []
+    if (tags !== undefined || action === 'tag') {
+      const parsed = parseTags(tags)
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+      if (action === 'tag' && parsed.tags.length === 0) {
+        return res.status(400).json({ error: 'Tags are required' })
+      }
+      parsedTags = parsed.tags
+    }
+
+    const uniqueIds = [...new Set(ids)]
+    let submissions
+    try {
+      const rows = await db.all(
+        `SELECT * FROM submissions WHERE deleted_at IS NULL AND id IN (${uniqueIds.map(() => '?').join(', ')})`,
+        uniqueIds
+      )
+      submissions = new Map(rows.map(row => [row.id, row]))
+    } catch (err) {
+      console.error('Database error:', err.message)
+      return res.status(500).json({ error: 'Failed to update submissions' })
+    }
+
+    const results = []
+    const retag = []
+    const failure = (id, err) => ({ id, success: false, status: err.status || 500, error: err.message })
+    const audit = (submission, entry) => recordAudit(db, {
+      submissionId: submission.id,
+      admin: req.admin,
+      action,
+      previousState: statusName(submission.approved),
+      reason,
+      ...entry
+    })
+
+    if (action === 'approve') {
+      for (const id of uniqueIds) {
+        const submission = submissions.get(id)
+        if (!submission) {
+          results.push(failure(id, moderationError(404, 'Submission not found')))
+          continue
+        }
+        if (submission.approved === 1) {
+          results.push(failure(id, moderationError(409, 'Submission is already approved')))
+          continue
+        }
+        try {
+          const image = await publishSubmission({ db, processor, config }, submission, null, { publishAt, admin: req.admin })
+          const details = { slug: image.name, tags: parsedTags }
+          if (publishAt) details.publish_at = publishAt
+          await audit(submission, { newState: 'approved', details })
+            .catch(err => console.error(`Failed to audit approval of submission ${id}:`, err.message))
+          if (parsedTags.length > 0) {
+            const added = await addImageTags(db, image.name, parsedTags)
+            if (added.error) throw moderationError(400, `Published as "${image.name}", but: ${added.error}`)
+            retag.push(image.name)
+          }
+          results.push({ id, success: true, slug: image.name })
+        } catch (err) {
+          results.push(failure(id, err))
+        }
+      }
+    } else {
+      const trashed = []
+      const now = new Date().toISOString()
+
+      try {
+        await db.transaction(async () => {
+          for (const id of uniqueIds) {
+            const submission = submissions.get(id)
+            if (!submission) {
+              results.push(failure(id, moderationError(404, 'Submission not found')))
+            } else if (action === 'reject' && submission.approved === 1) {
+              results.push(failure(id, moderationError(409, ALREADY_PUBLISHED)))
+            } else if (action === 'reject') {
+              await db.run('UPDATE submissions SET approved = -1, trashed_at = COALESCE(trashed_at, ?) WHERE id = ?', [now, id])
+              await audit(submission, { newState: 'rejected' })
+              trashed.push(submission)
+              results.push({ id, success: true })
+            } else if (action === 'delete') {
+              await db.run('UPDATE submissions SET deleted_at = ?, trashed_at = COALESCE(trashed_at, ?) WHERE id = ?', [now, now, id])
+              await audit(submission, { newState: null, details: deletedDetails(submission) })
+              trashed.push(submission)
+              results.push({ id, success: true })
+            } else if (submission.approved !== 1 || !submission.image_name) {
+              results.push(failure(id, moderationError(409, 'Only published submissions can be tagged')))
+            } else {
+              const added = await addImageTags(db, submission.image_name, parsedTags)
+              if (added.error) {
+                results.push(failure(id, moderationError(400, added.error)))
+              } else {
+                await audit(submission, { newState: statusName(submission.approved), details: { slug: submission.image_name, tags: parsedTags } })
+                retag.push(submission.image_name)
+                results.push({ id, success: true, slug: submission.image_name })
+              }
+            }
+          }
+        })
+      } catch (err) {
+        console.error('Bulk moderation error:', err.message)
+        return res.status(500).json({ error: 'Bulk action failed; no changes were made' })
+      }
+      for (const submission of trashed) {
+        await moveUploadFor(config, submission, true)
+      }
+
+      // Images leave the gallery only once their deletes are committed, so a
+      // rolled-back batch leaves the gallery as it was
+      if (action === 'delete') {
+        for (const submission of trashed) {
+          try {
+            await withdrawSubmissionImage({ db, config }, submission, req.admin)
+          } catch (err) {
+            console.error(`Failed to unpublish image of submission ${submission.id}:`, err.message)
+            const result = results.find(entry => entry.id === submission.id)
+            Object.assign(result, failure(submission.id, moderationError(500, WITHDRAW_FAILED)))
+          }
+        }
+      }
+    }
+
+    for (const name of new Set(retag)) {
+      await indexImage({ db, config }, name)
+        .catch(err => console.warn(`Failed to index ${name} for search:`, err.message))
+    }
+
+    const succeeded = results.filter(result => result.success).length
+    const failed = results.length - succeeded
+    console.log(`Bulk ${action} by ${req.admin.username}: ${succeeded} succeeded, ${failed} failed`)
+    res.json({ success: failed === 0, action, succeeded, failed, results })
+  })
+
+  // Check a slug before approving: normalized form, whether it is free,
+  // and the suffixed alternative that approval would use otherwise
+  router.get('/api/admin/slugs/:slug', requireRole('moderator'), async (req, res) => {
+    const slug = normalizeSlug(req.params.slug)
+    const slugError = validateSlug(slug)
+    if (slugError) {
+      return res.json({ slug, available: false, error: slugError, suggestion: null })
+    }
+
+    try {
+      const submissionId = req.query.submissionId ? parseInt(req.query.submissionId) : null
+      const taken = await collectTakenSlugs({ db, processor, config, excludeSubmissionId: submissionId })
+      res.json({ slug, available: !taken.has(slug), error: null, suggestion: uniqueSlug(slug, taken) })
+    } catch (err) {
+      console.error('Error checking slug:', err.message)
+      res.status(500).json({ error: 'Failed to check slug' })
+    }
+  })
+
+  // Delete a submission (owners only). It is moved to the trash, where an
+  // owner can restore it until the retention period runs out. A published
+  // submission's image is unpublished (or its scheduled publish cancelled).
+  router.delete('/api/admin/submissions/:id', requireRole('owner'), async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      const submission = await db.get('SELECT * FROM submissions WHERE id = ? AND deleted_at IS NULL', [id])
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' })
+      }
+
+      const now = new Date().toISOString()
+      await db.transaction(async () => {
+        await db.run(
+          'UPDATE submissions SET deleted_at = ?, trashed_at = COALESCE(trashed_at, ?) WHERE id = ?',
+          [now, now, id]
+        )
+        await recordAudit(db, {
+          submissionId: id,
+          admin: req.admin,
+          action: 'delete',
+          previousState: statusName(submission.approved),
+          details: deletedDetails(submission)
+        })
+      })
+      await moveUploadFor(config, submission, true)
+
+      // Its image leaves the gallery with it, once the delete is committed
+      let unpublished
+      try {
+        unpublished = await withdrawSubmissionImage({ db, config }, submission, req.admin)
+      } catch (err) {
+        console.error(`Failed to unpublish image of submission ${id}:`, err.message)
+        return res.status(500).json({ error: WITHDRAW_FAILED })
+      }
+
+      console.log(`Submission ${id} moved to trash${unpublished ? `, ${submission.image_name} unpublished,` : ''} by ${req.admin.username}`)
+      res.json({ success: true, message: 'Submission moved to trash' })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to delete submission' })
+    }
+  })
+
+  // Rejected and deleted submissions, with the date each will be purged
+  router.get('/api/admin/trash', requireRole('moderator'), async (req, res) => {
+    try {
+      res.json({ retentionDays: config.trash.retentionDays, submissions: await listTrash({ db, config }) })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch trash' })
+    }
+  })
+
+  // Take a submission out of the trash as pending. Deleted submissions can
+  // only be restored by owners.
+  router.post('/api/admin/trash/:id/restore', requireRole('moderator'), async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      const submission = await db.get('SELECT * FROM submissions WHERE id = ? AND trashed_at IS NOT NULL', [id])
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found in trash' })
+      }
+      if (submission.deleted_at && !hasRole(req.admin, 'owner')) {
+        return res.status(403).json({ error: 'Insufficient permissions' })
+      }
+
+      await restoreSubmission({ db, config }, submission, req.admin)
+
+      console.log(`Submission ${id} restored from trash by ${req.admin.username}`)
+      res.json({ success: true, message: 'Submission restored as pending' })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to restore submission' })
+    }
+  })
+
+  // Small WebP preview of a submission's upload, generated on first request
+  router.get('/api/admin/submissions/:id/preview', requireRole('moderator'), async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      const submission = await db.get('SELECT filename, trashed_at FROM submissions WHERE id = ?', [id])
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' })
+      }
+      const preview = await ensurePreview(config, submission)
+      res.set('Cache-Control', 'private, max-age=86400')
+      res.sendFile(preview)
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return res.status(404).json({ error: 'File not found' })
+      }
+      console.error(`Error generating preview for submission ${id}:`, err.message)
+      res.status(500).json({ error: 'Failed to generate preview' })
+    }
+  })
+
+  // A submission's full-size uploaded file, wherever it is kept
+  router.get('/api/admin/submissions/:id/file', requireRole('moderator'), async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      const submission = await db.get('SELECT filename, trashed_at FROM submissions WHERE id = ?', [id])
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' })
+      }
+      res.set('Cache-Control', 'private, no-store')
+      res.sendFile(uploadPath(config, submission), err => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'File not found' })
+      })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch file' })
+    }
+  })
+
+  // Moderation history, newest first. Query parameters:
+  // submissionId, actor, action, cursor, limit
+  router.get('/api/admin/audit', requireRole('moderator'), async (req, res) => {
+    const { filters, error } = parseAuditFilters(req.query)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    try {
+      res.json(await listAudit(db, filters))
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch audit log' })
+    }
+  })
+
+  // List admin accounts (owners only)
+  router.get('/api/admin/users', requireRole('owner'), async (req, res) => {
+    try {
+      const users = await db.all('SELECT * FROM admin_users ORDER BY username')
+      res.json(users.map(publicUser))
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch users' })
+    }
+  })
+
+  // Create an admin account (owners only)
+  router.post('/api/admin/users', requireRole('owner'), async (req, res) => {
+    const { username, password, role = 'moderator' } = req.body || {}
+
+    const inputError = validateAccountInput({ username, password, role })
+    if (inputError) {
+      return res.status(400).json({ error: inputError })
+    }
+
+    try {
+      const existing = await db.get('SELECT id FROM admin_users WHERE username = ?', [username])
+      if (existing) {
+        return res.status(409).json({ error: 'Username already exists' })
+      }
+
+      const user = {
+        username,
+        password_hash: await hashPassword(password),
+        role,
+        created_at: new Date().toISOString()
+      }
+      const result = await db.run(`
+        INSERT INTO admin_users (username, password_hash, role, created_at)
+        VALUES (?, ?, ?, ?)
+      `, [user.username, user.password_hash, user.role, user.created_at])
+
+      console.log(`👤 Admin user ${username} (${role}) created by ${req.admin.username}`)
+      res.status(201).json({ success: true, user: publicUser({ ...user, id: result.lastID }) })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to create user' })
+    }
+  })
+
+  // Returns true when `user` is the only remaining owner account
+  async function isLastOwner(user) {
+    if (user.role !== 'owner') return false
+    const { count } = await db.get("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner'")
+    return count <= 1
+  }
+
+  // Change an admin's role and/or password (owners only)
+  router.patch('/api/admin/users/:id', requireRole('owner'), async (req, res) => {
+    const id = parseInt(req.params.id)
+    const { role, password } = req.body || {}
+
+    if (role === undefined && password === undefined) {
+      return res.status(400).json({ error: `Provide a new role (${ROLES.join(', ')}) or password` })
+    }
+
+    const inputError = validateAccountInput({ role, password }, { requirePassword: false })
+    if (inputError) {
+      return res.status(400).json({ error: inputError })
+    }
+
+    try {
+      const user = await db.get('SELECT * FROM admin_users WHERE id = ?', [id])
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' })
+      }
+
+      if (role && role !== 'owner' && await isLastOwner(user)) {
+        return res.status(409).json({ error: 'Cannot demote the last owner' })
+      }
+
+      if (role) {
+        await db.run('UPDATE admin_users SET role = ? WHERE id = ?', [role, id])
+        user.role = role
+      }
+      if (password) {
+        await db.run('UPDATE admin_users SET password_hash = ? WHERE id = ?', [await hashPassword(password), id])
+      }
+
+      // Force other admins to log in again with their new credentials/role
+      if (id !== req.admin.id) {
+        await destroyUserSessions(db, id)
+      }
+
+      console.log(`👤 Admin user ${user.username} updated by ${req.admin.username}`)
+      res.json({ success: true, user: publicUser(user) })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to update user' })
+    }
+  })
+
+  // Delete an admin account (owners only)
+  router.delete('/api/admin/users/:id', requireRole('owner'), async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    if (id === req.admin.id) {
+      return res.status(409).json({ error: 'You cannot delete your own account' })
+    }
+
+    try {
+      const user = await db.get('SELECT * FROM admin_users WHERE id = ?', [id])
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' })
+      }
+      if (await isLastOwner(user)) {
+        return res.status(409).json({ error: 'Cannot delete the last owner' })
+      }
+
+      await destroyUserSessions(db, id)
+      await db.run('DELETE FROM admin_users WHERE id = ?', [id])
+
+      console.log(`👤 Admin user ${user.username} deleted by ${req.admin.username}`)
+      res.json({ success: true, message: 'User deleted' })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to delete user' })
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,131 @@
+/**
+ * Gallery routes: GET /api/images, the cache invalidation feed and static
+ * serving of images and thumbnails, in the best format each browser
+ * accepts. Uploads awaiting moderation are only reachable through the admin
+ * routes. `db` is optional; without it images have no tags and there is no
+ * invalidation feed.
+ */
+
+import express from 'express'
+import path from 'path'
+import fs from 'fs'
+import { negotiateFormat, setVariantType, withoutVariants } from '../image-formats.js'
+import { cacheInvalidationsSince } from '../library.js'
+import { getImageTaxonomy, withTaxonomy } from '../tags.js'
+import { readManifest } from '../manifest.js'
+import { visibilityOf } from '../visibility.js'
+
+export function createImagesRouter({ db = null, config }) {
+  const router = express.Router()
+
+  // Get available images from public/images directory. Hidden images are
+  // left out; unlisted ones are included (for /#name links) with their visibility.
+  // Processed images also carry their thumbnail, size and responsive widths.
+  router.get('/api/images', async (req, res) => {
+    try {
+      const imagesDir = config.publicImagesDir
+      console.log('Reading images from:', imagesDir)
+
+      if (!fs.existsSync(imagesDir)) {
+        console.log('Images directory does not exist')
+        return res.json([])
+      }
+
+      // Visibility and sizes from the manifest; files it does not list are public
+      const manifest = new Map((await readManifest(config.manifestFile)).map(image => [image.filename, image]))
+      const visibility = new Map([...manifest].map(([filename, image]) => [filename, visibilityOf(image)]))
+
+      // AVIF/WebP variants are served in place of their image, not listed
+      const files = withoutVariants(fs.readdirSync(imagesDir))
+      const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.bmp', '.ico', '.tiff', '.avif']
+
+      const images = files
+        .filter(file => {
+          if (visibility.get(file) === 'hidden') {
+            console.log(`Excluding hidden file: ${file}`)
+            return false
+          }
+
+          const ext = path.extname(file).toLowerCase()
+          const isImage = imageExtensions.includes(ext)
+
+          // Check if file is readable and not corrupted
+          try {
+            const filePath = path.join(imagesDir, file)
+            const stats = fs.statSync(filePath)
+            if (stats.size === 0) {
+              console.warn(`Skipping empty file: ${file}`)
+              return false
+            }
+            return isImage
+          } catch (error) {
+            console.warn(`Skipping corrupted file: ${file}`, error.message)
+            return false
+          }
+        })
+        .map(file => {
+          const name = path.parse(file).name
+          const extension = path.extname(file).slice(1)
+          const entry = manifest.get(file) || {}
+          return {
+            name,
+            filename: file,
+            extension,
+            url: `/images/${file}`,
+            thumbnailUrl: entry.thumbnailUrl,
+            width: entry.width,
+            height: entry.height,
+            widths: entry.widths,
+            animated: entry.animated,
+            visibility: visibility.get(file) || 'public'
+          }
+        })
+        .sort((a, b) => a.name.localeCompare(b.name))
+
+      console.log(`Found ${images.length} valid images:`, images.map(img => img.filename))
+      res.json(db ? withTaxonomy(images, await getImageTaxonomy(db)) : images)
+    } catch (error) {
+      console.error('Error reading images directory:', error)
+      res.status(500).json({ error: 'Failed to load images' })
+    }
+  })
+
+  // URLs of unpublished and deleted images that clients must drop from their
+  // caches, polled by the service worker with the last `latest` it saw
+  if (db) {
+    router.get('/api/cache-invalidations', async (req, res) => {
+      const after = parseInt(req.query.after) || 0
+
+      try {
+        res.set('Cache-Control', 'no-store')
+        res.json(await cacheInvalidationsSince(db, Math.max(after, 0)))
+      } catch (err) {
+        console.error('Database error:', err.message)
+        res.status(500).json({ error: 'Failed to fetch cache invalidations' })
+      }
+    })
+  }
+
+  // Serve public images with aggressive caching, as AVIF or WebP when the
+  // browser accepts it and a variant exists
+  router.use('/images', negotiateFormat(config.publicImagesDir))
+  router.use('/images', express.static(config.publicImagesDir, {
+    maxAge: '30d', // Cache images for 30 days
+    etag: true,
+    lastModified: true,
+    immutable: true,
+    setHeaders: setVariantType
+  }))
+
+  // Serve thumbnails with aggressive caching, negotiated the same way
+  router.use('/thumbnails', negotiateFormat(config.thumbnailsDir))
+  router.use('/thumbnails', express.static(config.thumbnailsDir, {
+    maxAge: '30d', // Cache thumbnails for 30 days
+    etag: true,
+    lastModified: true,
+    immutable: true,
+    setHeaders: setVariantType
+  }))
+
+  return router
+}
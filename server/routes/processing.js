@@ -0,0 +1,79 @@
+/**
+ * ImageProcessor routes (formerly upload-server.js): direct uploads into the
+ * processing pipeline, library statistics and manual reprocessing
+ */
+
+import express from 'express'
+import path from 'path'
+import { promises as fs } from 'fs'
+
+export function createProcessingRouter({ processor, upload, config, guard = [] }) {
+  const router = express.Router()
+
+  // Upload endpoint
+  router.post('/upload', ...guard, upload.single('image'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' })
+      }
+
+      console.log(`📤 Upload received: ${req.file.originalname}`)
+
+      // The file watcher will automatically process this image
+      // We just need to return the expected name
+      const outputName = processor.generateImageName(req.file.path)
+
+      res.json({
+        success: true,
+        message: 'Image uploaded and will be processed automatically',
+        filename: req.file.filename,
+        processedName: outputName,
+        size: req.file.size
+      })
+
+    } catch (error) {
+      console.error('❌ Upload error:', error)
+      res.status(500).json({ error: 'Upload failed', details: error.message })
+    }
+  })
+
+  // Get library stats
+  router.get('/api/stats', ...guard, (req, res) => {
+    res.json(processor.getLibraryStats())
+  })
+
+  // Get all images in the processed library
+  router.get('/api/library', ...guard, (req, res) => {
+    res.json(Array.from(processor.imageLibrary.values()))
+  })
+
+  // Process specific image
+  router.post('/api/process/:filename', ...guard, async (req, res) => {
+    try {
+      const filename = path.basename(req.params.filename)
+      const inputPath = path.join(config.uploadsDir, filename)
+
+      // Check if file exists
+      try {
+        await fs.access(inputPath)
+      } catch {
+        return res.status(404).json({ error: 'File not found' })
+      }
+
+      const outputName = processor.generateImageName(inputPath)
+      const result = await processor.processImage(inputPath, outputName)
+
+      if (result) {
+        res.json({ success: true, image: result })
+      } else {
+        res.status(500).json({ error: 'Processing failed' })
+      }
+
+    } catch (error) {
+      console.error('❌ Processing error:', error)
+      res.status(500).json({ error: 'Processing failed', details: error.message })
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,35 @@
+/**
+ * Public search route: GET /api/search over published images
+ */
+
+import express from 'express'
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, searchImages } from '../search.js'
+
+const MAX_QUERY_LENGTH = 200
+
+export function createSearchRouter({ db, config }) {
+  const router = express.Router()
+
+  // Search by slug, caption, tags and category: ?q=&page=&limit=
+  router.get('/api/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' })
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Query must be ${MAX_QUERY_LENGTH} characters or less` })
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+    try {
+      res.json(await searchImages({ db, config }, query, { page, limit }))
+    } catch (err) {
+      console.error('Search error:', err.message)
+      res.status(500).json({ error: 'Search failed' })
+    }
+  })
+
+  return router
+}
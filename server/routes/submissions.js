@@ -0,0 +1,299 @@
+/**
+ * Public submission routes: POST /api/submissions, the status lookup and
+ * edit/withdraw routes for submitters, and GET /api/approved-memes
+ */
+
+import express from 'express'
+import rateLimit from 'express-rate-limit'
+import { validateSubmissionText } from '../sanitize.js'
+import { discardUpload, sanitizeFilename } from '../upload.js'
+import { contentHash, findDuplicates, perceptualHash, recordDuplicates } from '../duplicates.js'
+import { SUBMITTER, recordAudit, statusName } from '../audit.js'
+import { removeUploadFile } from '../moderation.js'
+import { createSubmissionToken, hashSubmissionToken, isSubmissionToken } from '../submission-tokens.js'
+
+// Header carrying the edit token for PATCH/DELETE /api/submissions/:id
+const EDIT_TOKEN_HEADER = 'x-edit-token'
+
+export function createSubmissionsRouter({ db, upload, config }) {
+  const router = express.Router()
+
+  // Load the submission a request's edit token belongs to, or answer with
+  // 404 (unknown id or wrong token) or 409 (no longer pending) and return null
+  async function submissionForEditor(req, res) {
+    const token = req.get(EDIT_TOKEN_HEADER)
+    const id = parseInt(req.params.id)
+    if (!isSubmissionToken(token) || !(id >= 1)) {
+      res.status(404).json({ error: 'Submission not found' })
+      return null
+    }
+
+    const submission = await db.get(
+      'SELECT * FROM submissions WHERE id = ? AND edit_token_hash = ? AND deleted_at IS NULL',
+      [id, hashSubmissionToken(token)]
+    )
+    if (!submission) {
+      res.status(404).json({ error: 'Submission not found' })
+      return null
+    }
+    if (submission.approved !== 0) {
+      res.status(409).json({ error: 'Only pending submissions can be changed' })
+      return null
+    }
+    return submission
+  }
+
+  // Rate limiting for submissions
+  const submissionLimiter = rateLimit({
+    windowMs: config.limits.windowMs,
+    max: config.limits.submissionsPerWindow,
+    message: {
+      error: 'Too many submissions from this IP. Please try again in 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+
+  // Submit a new meme
+  router.post('/api/submissions', submissionLimiter, upload.single('image'), async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' })
+    }
+
+    const { text, timestamp } = req.body
+
+    // Validate and sanitize the text input
+    const validation = validateSubmissionText(text)
+
+    if (!validation.isValid) {
+      // Clean up uploaded file since validation failed
+      discardUpload(req.file)
+      return res.status(400).json({ error: validation.error })
+    }
+
+    // Compare against the gallery and the pending queue
+    let hashes
+    let duplicates
+    try {
+      hashes = {
+        contentHash: await contentHash(req.file.path),
+        perceptualHash: await perceptualHash(req.file.path)
+      }
+      duplicates = await findDuplicates({ db, config, hashes })
+    } catch (err) {
+      console.error('Duplicate check failed:', err.message)
+      discardUpload(req.file)
+      return res.status(500).json({ error: 'Failed to save submission' })
+    }
+
+    const { rejectDistance } = config.duplicates
+    if (rejectDistance !== null && duplicates.length > 0 && duplicates[0].distance <= rejectDistance) {
+      discardUpload(req.file)
+      return res.status(409).json({ error: 'This meme has already been submitted.' })
+    }
+
+    const statusToken = createSubmissionToken()
+    const editToken = createSubmissionToken()
+    const submission = {
+      filename: req.file.filename,
+      original_name: sanitizeFilename(req.file.originalname),
+      user_text: validation.sanitized, // Use sanitized text
+      timestamp: timestamp || new Date().toISOString(),
+      approved: 0, // 0=pending, 1=approved, -1=rejected
+      metadata_stripped: req.file.metadataStripped ? 1 : 0,
+      location_removed: req.file.locationRemoved ? 1 : 0,
+      content_hash: hashes.contentHash,
+      perceptual_hash: hashes.perceptualHash,
+      status_token_hash: statusToken.hash,
+      edit_token_hash: editToken.hash,
+      created_at: new Date().toISOString()
+    }
+
+    try {
+      const result = await db.run(`
+        INSERT INTO submissions (filename, original_name, user_text, timestamp, approved,
+          metadata_stripped, location_removed, content_hash, perceptual_hash, status_token_hash,
+          edit_token_hash, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        submission.filename,
+        submission.original_name,
+        submission.user_text,
+        submission.timestamp,
+        submission.approved,
+        submission.metadata_stripped,
+        submission.location_removed,
+        submission.content_hash,
+        submission.perceptual_hash,
+        submission.status_token_hash,
+        submission.edit_token_hash,
+        submission.created_at
+      ])
+      submission.id = result.lastID
+    } catch (err) {
+      console.error('Database error:', err.message)
+      discardUpload(req.file)
+      return res.status(500).json({ error: 'Failed to save submission' })
+    }
+
+    try {
+      await recordDuplicates(db, submission.id, duplicates)
+    } catch (err) {
+      console.warn(`Failed to record duplicates for submission ${submission.id}:`, err.message)
+    }
+
+    console.log('New submission received:', {
+      id: submission.id,
+      filename: submission.filename,
+      text: submission.user_text.substring(0, 50) + (submission.user_text.length > 50 ? '...' : ''),
+      sanitization: 'applied',
+      locationRemoved: Boolean(submission.location_removed),
+      duplicates: duplicates.length
+    })
+
+    res.json({
+      success: true,
+      id: submission.id,
+      statusToken: statusToken.token,
+      statusUrl: `/api/submissions/status/${statusToken.token}`,
+      editToken: editToken.token,
+      message: 'Submission received! It will be reviewed for approval.'
+    })
+  })
+
+  // Look up a submission by the token returned when it was submitted:
+  // its status, the public slug once approved and the rejection reason, if any
+  router.get('/api/submissions/status/:token', async (req, res) => {
+    const { token } = req.params
+    if (!isSubmissionToken(token)) {
+      return res.status(404).json({ error: 'Submission not found' })
+    }
+
+    try {
+      const submission = await db.get(
+        'SELECT id, approved, image_name, created_at FROM submissions WHERE status_token_hash = ?',
+        [hashSubmissionToken(token)]
+      )
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' })
+      }
+
+      const status = statusName(submission.approved)
+      let reason = null
+      if (status === 'rejected') {
+        const rejection = await db.get(
+          "SELECT reason FROM moderation_audit WHERE submission_id = ? AND action = 'reject' ORDER BY id DESC LIMIT 1",
+          [submission.id]
+        )
+        reason = rejection ? rejection.reason : null
+      }
+
+      // Approved images can be held back until a scheduled time (or unpublished)
+      const held = submission.image_name
+        ? await db.get('SELECT publish_at FROM unpublished_images WHERE name = ?', [submission.image_name])
+        : null
+      const published = status === 'approved' && submission.image_name && !held
+      res.json({
+        status,
+        submittedAt: submission.created_at,
+        slug: published ? submission.image_name : null,
+        url: published ? `/#${submission.image_name}` : null,
+        publishAt: held ? held.publish_at : null,
+        reason
+      })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch submission status' })
+    }
+  })
+
+  // Fix the caption of a pending submission (submitter, with the edit token)
+  router.patch('/api/submissions/:id', async (req, res) => {
+    const validation = validateSubmissionText(req.body && req.body.text)
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.error })
+    }
+
+    try {
+      const submission = await submissionForEditor(req, res)
+      if (!submission) return
+
+      // Only while still pending - a moderator may have acted since the lookup
+      const edited = await db.transaction(async () => {
+        const result = await db.run(
+          'UPDATE submissions SET user_text = ? WHERE id = ? AND approved = 0',
+          [validation.sanitized, submission.id]
+        )
+        if (result.changes === 0) return false
+        await recordAudit(db, {
+          submissionId: submission.id,
+          admin: SUBMITTER,
+          action: 'edit',
+          previousState: 'pending',
+          newState: 'pending',
+          details: { previous_text: submission.user_text }
+        })
+        return true
+      })
+      if (!edited) {
+        return res.status(409).json({ error: 'Only pending submissions can be changed' })
+      }
+
+      console.log(`Submission ${submission.id} caption edited by its submitter`)
+      res.json({ success: true, id: submission.id, text: validation.sanitized })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to update submission' })
+    }
+  })
+
+  // Withdraw a pending submission and delete its upload (submitter, with the edit token)
+  router.delete('/api/submissions/:id', async (req, res) => {
+    try {
+      const submission = await submissionForEditor(req, res)
+      if (!submission) return
+
+      const withdrawn = await db.transaction(async () => {
+        const result = await db.run('DELETE FROM submissions WHERE id = ? AND approved = 0', [submission.id])
+        if (result.changes === 0) return false
+        await recordAudit(db, {
+          submissionId: submission.id,
+          admin: SUBMITTER,
+          action: 'withdraw',
+          previousState: 'pending',
+          details: { original_name: submission.original_name, text: submission.user_text }
+        })
+        return true
+      })
+      if (!withdrawn) {
+        return res.status(409).json({ error: 'Only pending submissions can be changed' })
+      }
+      removeUploadFile(config, submission.filename)
+
+      console.log(`Submission ${submission.id} withdrawn by its submitter`)
+      res.json({ success: true, message: 'Submission withdrawn' })
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to withdraw submission' })
+    }
+  })
+
+  // Get approved memes (for the main site)
+  router.get('/api/approved-memes', async (req, res) => {
+    try {
+      const approvedMemes = await db.all(`
+        SELECT original_name, user_text, timestamp
+        FROM submissions
+        WHERE approved = 1
+          AND (image_name IS NULL OR image_name NOT IN (SELECT name FROM unpublished_images))
+        ORDER BY id DESC
+      `) // Most recent first, leaving out images that are unpublished or not yet due
+      res.json(approvedMemes)
+    } catch (err) {
+      console.error('Database error:', err.message)
+      res.status(500).json({ error: 'Failed to fetch approved memes' })
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,102 @@
+/**
+ * User text sanitization for meme submissions
+ */
+
+import validator from 'validator'
+import xss from 'xss'
+
+// Text sanitization function
+export function sanitizeUserText(text) {
+  if (!text || typeof text !== 'string') {
+    return ''
+  }
+
+  // First pass: Remove dangerous characters and patterns
+  let cleaned = text
+    // Remove null bytes and control characters except newlines and tabs
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, '')
+    // Remove excessive whitespace
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+  // XSS protection - remove scripts and dangerous patterns
+  cleaned = xss(cleaned, {
+    whiteList: {}, // No HTML tags allowed
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style', 'iframe']
+  })
+
+  // Additional security patterns to remove
+  const dangerousPatterns = [
+    /javascript:/gi,
+    /vbscript:/gi,
+    /data:/gi,
+    /on\w+\s*=/gi,
+    /<script[^>]*>.*?<\/script>/gi,
+    /<iframe[^>]*>.*?<\/iframe>/gi,
+    /eval\s*\(/gi,
+    /function\s*\(/gi,
+    /new\s+function/gi,
+    /document\./gi,
+    /window\./gi,
+    /alert\s*\(/gi,
+    /prompt\s*\(/gi,
+    /confirm\s*\(/gi
+  ]
+
+  for (const pattern of dangerousPatterns) {
+    cleaned = cleaned.replace(pattern, '')
+  }
+
+  // Escape any remaining HTML entities
+  cleaned = validator.escape(cleaned)
+
+  // Final length check
+  if (cleaned.length > 500) {
+    cleaned = cleaned.substring(0, 500)
+  }
+
+  return cleaned
+}
+
+// Validation function
+export function validateSubmissionText(text) {
+  const sanitized = sanitizeUserText(text)
+  
+  if (!sanitized || sanitized.length < 3) {
+    return {
+      isValid: false,
+      error: 'Text must be at least 3 characters long.',
+      sanitized: ''
+    }
+  }
+
+  if (sanitized.length > 500) {
+    return {
+      isValid: false,
+      error: 'Text must be 500 characters or less.',
+      sanitized: ''
+    }
+  }
+
+  // Check if the sanitized text is substantially different from original
+  // This might indicate malicious content was removed
+  const originalLength = (text || '').length
+  const sanitizedLength = sanitized.length
+  
+  if (originalLength > 0 && sanitizedLength < originalLength * 0.5) {
+    return {
+      isValid: false,
+      error: 'Text contains invalid content. Please use plain text only.',
+      sanitized: ''
+    }
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    sanitized
+  }
+}
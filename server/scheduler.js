@@ -0,0 +1,72 @@
+/**
+ * Scheduled publishing
+ * An image approved with a publish-at time is processed right away but held
+ * in the archive, like an unpublished image, with `publish_at` set on its
+ * unpublished_images row. publishDueImages() runs at startup and on an
+ * interval, so images whose time passed while the server was down are
+ * published as soon as it is back.
+ */
+
+import { SYSTEM, recordAudit } from './audit.js'
+import { republishImage } from './library.js'
+
+const MAX_SCHEDULE_DAYS = 366
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Parse a publish-at time (anything Date understands, normally ISO 8601).
+ * Returns { publishAt } with an ISO string, or null when none was given,
+ * or { error }.
+ */
+export function parsePublishAt(input) {
+  if (input === undefined || input === null || input === '') {
+    return { publishAt: null }
+  }
+
+  const time = typeof input === 'string' ? new Date(input).getTime() : NaN
+  if (Number.isNaN(time)) {
+    return { error: 'Publish time must be a date and time, e.g. 2025-12-31T18:00:00Z' }
+  }
+  if (time <= Date.now()) {
+    return { error: 'Publish time must be in the future' }
+  }
+  if (time > Date.now() + MAX_SCHEDULE_DAYS * DAY_MS) {
+    return { error: `Publish time must be within ${MAX_SCHEDULE_DAYS} days` }
+  }
+  return { publishAt: new Date(time).toISOString() }
+}
+
+/**
+ * Publish every held image whose time has come, oldest first.
+ * Resolves with the names published.
+ */
+export async function publishDueImages({ db, config }) {
+  const due = await db.all(
+    'SELECT name FROM unpublished_images WHERE publish_at IS NOT NULL AND publish_at <= ? ORDER BY publish_at',
+    [new Date().toISOString()]
+  )
+
+  const published = []
+  for (const { name } of due) {
+    try {
+      await republishImage({ db, config }, name)
+    } catch (err) {
+      console.error(`Failed to publish scheduled image ${name}:`, err.message)
+      continue
+    }
+    published.push(name)
+
+    const submission = await db.get('SELECT id FROM submissions WHERE image_name = ?', [name])
+    if (submission) {
+      await recordAudit(db, {
+        submissionId: submission.id,
+        admin: SYSTEM,
+        action: 'publish',
+        previousState: 'approved',
+        newState: 'approved',
+        details: { slug: name }
+      }).catch(err => console.error(`Failed to audit scheduled publish of ${name}:`, err.message))
+    }
+  }
+  return published
+}
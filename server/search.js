@@ -0,0 +1,191 @@
+/**
+ * Full-text search over published images
+ * One FTS5 row per public gallery image holds its slug, the approved submission's
+ * caption, its tags and its category. Queries match word prefixes, fall back
+ * to close spellings for words the index has never seen, and rank with bm25.
+ */
+
+import validator from 'validator'
+import { readManifest } from './manifest.js'
+import { getImageTaxonomy } from './tags.js'
+
+export const MAX_QUERY_TERMS = 8
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 50
+
+// bm25 column weights: name, caption, tags, category
+const RANK_WEIGHTS = [10.0, 2.0, 5.0, 5.0]
+
+/**
+ * Words of a search query, lowercased, without FTS5 syntax characters
+ */
+export function queryTerms(query) {
+  return String(query || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS)
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Allowed typos per word: none for short words, one from 4 letters, two from 8
+function typoBudget(term) {
+  return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0
+}
+
+/**
+ * Index rows for the given images: name, caption of the submission it was
+ * published from, tags and category
+ */
+async function searchRows(db, images) {
+  const taxonomy = await getImageTaxonomy(db)
+  const captions = new Map(
+    (await db.all('SELECT image_name, user_text FROM submissions WHERE approved = 1 AND image_name IS NOT NULL'))
+      .map(row => [row.image_name, validator.unescape(row.user_text)])
+  )
+
+  return images.map(image => ({
+    name: image.name,
+    caption: captions.get(image.name) || '',
+    tags: (taxonomy.get(image.name)?.tags || []).join(' '),
+    category: taxonomy.get(image.name)?.category || ''
+  }))
+}
+
+async function insertRow(db, row) {
+  await db.run(
+    'INSERT INTO search_index (name, caption, tags, category) VALUES (?, ?, ?, ?)',
+    [row.name, row.caption, row.tags, row.category]
+  )
+}
+
+// Unlisted and hidden images stay out of search results
+function isSearchable(image) {
+  return (image.visibility || 'public') === 'public'
+}
+
+/**
+ * Rebuild the whole index from the gallery manifest (run at startup)
+ */
+export async function rebuildSearchIndex({ db, config }) {
+  const rows = await searchRows(db, (await readManifest(config.manifestFile)).filter(isSearchable))
+  await db.run('DELETE FROM search_index')
+  for (const row of rows) {
+    await insertRow(db, row)
+  }
+  return rows.length
+}
+
+/**
+ * Re-index one image after it is published or its tags or visibility change.
+ * Images no longer in the manifest, or no longer public, are removed from the index.
+ */
+export async function indexImage({ db, config }, name) {
+  const image = (await readManifest(config.manifestFile)).find(entry => entry.name === name)
+  await db.run('DELETE FROM search_index WHERE name = ?', [name])
+  if (image && isSearchable(image)) {
+    const [row] = await searchRows(db, [image])
+    await insertRow(db, row)
+  }
+}
+
+/**
+ * Turn query words into an FTS5 expression. Known words (or prefixes of
+ * known words) are prefix-matched; unknown words also match the indexed
+ * words within their typo budget. Returns { match, corrections } or null
+ * when the query has no usable words.
+ */
+async function buildMatch(db, terms) {
+  const corrections = {}
+  const groups = []
+
+  for (const term of terms) {
+    const quoted = `"${term}"*`
+    const known = await db.get(
+      'SELECT 1 FROM search_vocab WHERE term >= ? AND term < ? LIMIT 1',
+      [term, term + '\uffff']
+    )
+
+    const budget = typoBudget(term)
+    if (known || budget === 0) {
+      groups.push(quoted)
+      continue
+    }
+
+    const candidates = await db.all(
+      'SELECT term FROM search_vocab WHERE length(term) BETWEEN ? AND ?',
+      [term.length - budget, term.length + budget]
+    )
+    const close = candidates
+      .map(row => ({ term: row.term, distance: editDistance(term, row.term, budget) }))
+      .filter(candidate => candidate.distance <= budget)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 5)
+      .map(candidate => candidate.term)
+
+    if (close.length > 0) corrections[term] = close
+    groups.push(close.length > 0 ? `(${[quoted, ...close.map(word => `"${word}"`)].join(' OR ')})` : quoted)
+  }
+
+  return groups.length > 0 ? { match: groups.join(' AND '), corrections } : null
+}
+
+/**
+ * Search published images. Returns one page of results, best match first,
+ * with manifest fields, tags, category and caption.
+ */
+export async function searchImages({ db, config }, query, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const terms = queryTerms(query)
+  const built = await buildMatch(db, terms)
+  if (!built) {
+    return { query, results: [], total: 0, page, limit, corrections: {} }
+  }
+
+  const { count: total } = await db.get(
+    'SELECT COUNT(*) AS count FROM search_index WHERE search_index MATCH ?',
+    [built.match]
+  )
+  const rows = await db.all(`
+    SELECT name, caption, tags, category, bm25(search_index, ${RANK_WEIGHTS.join(', ')}) AS rank
+    FROM search_index
+    WHERE search_index MATCH ?
+    ORDER BY rank, name
+    LIMIT ? OFFSET ?
+  `, [built.match, limit, (page - 1) * limit])
+
+  const manifest = new Map((await readManifest(config.manifestFile)).map(image => [image.name, image]))
+  const results = rows
+    .filter(row => manifest.has(row.name))
+    .map(row => ({
+      ...manifest.get(row.name),
+      caption: row.caption,
+      tags: row.tags ? row.tags.split(' ') : [],
+      category: row.category || null,
+      score: Number((-row.rank).toPrecision(4))
+    }))
+
+  return { query, results, total, page, limit, corrections: built.corrections }
+}
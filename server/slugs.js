@@ -0,0 +1,130 @@
+/**
+ * Slugs for published memes - the name used in /#slug links and as the
+ * image file name. Keeps them URL-safe, unique across the library and
+ * clear of paths the app and server already use.
+ */
+
+import path from 'path'
+import { promises as fs } from 'fs'
+import { readManifest } from './manifest.js'
+
+export const MAX_SLUG_LENGTH = 60
+
+// Top-level paths served by the app or server, plus names that would be confusing as memes
+export const RESERVED_SLUGS = [
+  'admin', 'api', 'images', 'thumbnails', 'uploads', 'upload', 'health',
+  'assets', 'static', 'dist', 'public', 'src', 'index', 'sw', 'favicon',
+  'login', 'logout', 'search', 'settings', 'null', 'undefined'
+]
+
+// Camera/browser default file names that make poor slugs
+const GENERIC_NAME = /^(image|img|photo|pic|picture|screenshot|screen-shot|download|unnamed|untitled|file|meme)(-?\d.*)?$|^\d[\d-]*$/
+
+/**
+ * Turn arbitrary input into a URL-safe slug (lowercase letters, digits, dashes)
+ */
+export function normalizeSlug(input) {
+  return String(input || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/-$/, '')
+}
+
+/**
+ * Returns an error message for an unusable slug, or null
+ */
+export function validateSlug(slug) {
+  if (!slug) {
+    return 'Slug must contain at least one letter or number.'
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return `"${slug}" is reserved. Please choose another slug.`
+  }
+  return null
+}
+
+/**
+ * Suggest a slug for a submission from its file name, falling back to the
+ * first words of the caption when the file name is a generic camera name
+ */
+export function suggestSlug(submission) {
+  const fromFile = normalizeSlug(path.parse(submission.original_name || '').name)
+  if (fromFile && !GENERIC_NAME.test(fromFile)) {
+    return fromFile
+  }
+
+  const fromText = normalizeSlug(
+    String(submission.user_text || '')
+      .replace(/&[a-z0-9#]+;/gi, ' ') // Captions are stored HTML-escaped
+      .split(/\s+/)
+      .slice(0, 5)
+      .join('-')
+  )
+  return fromText || `meme-${submission.id}`
+}
+
+/**
+ * Every slug already in use: the gallery manifest, the processor library,
+ * files in public/images and names held by other approved submissions
+ */
+export async function collectTakenSlugs({ db, processor, config, excludeSubmissionId = null }) {
+  const taken = new Set(RESERVED_SLUGS)
+
+  for (const image of await readManifest(config.manifestFile)) {
+    taken.add(image.name)
+  }
+  for (const name of processor.imageLibrary.keys()) {
+    taken.add(name)
+  }
+  try {
+    for (const file of await fs.readdir(config.publicImagesDir)) {
+      taken.add(path.parse(file).name.toLowerCase())
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  const rows = await db.all(
+    'SELECT id, image_name FROM submissions WHERE image_name IS NOT NULL AND id IS NOT ?',
+    [excludeSubmissionId]
+  )
+  for (const row of rows) {
+    taken.add(row.image_name)
+  }
+
+  // A submission's own published name never conflicts with itself
+  if (excludeSubmissionId !== null) {
+    const own = await db.get('SELECT image_name FROM submissions WHERE id = ?', [excludeSubmissionId])
+    if (own?.image_name) taken.delete(own.image_name)
+  }
+
+  return taken
+}
+
+/**
+ * `base` if free, otherwise the first free `base-2`, `base-3`, ...
+ */
+export function uniqueSlug(base, taken) {
+  if (!taken.has(base)) return base
+
+  for (let n = 2; ; n++) {
+    const suffix = `-${n}`
+    const candidate = base.substring(0, MAX_SLUG_LENGTH - suffix.length).replace(/-$/, '') + suffix
+    if (!taken.has(candidate)) return candidate
+  }
+}
+
+let slugQueue = Promise.resolve()
+
+/**
+ * Run `work` with exclusive access to slug assignment, so two approvals
+ * cannot pick the same free slug at the same time
+ */
+export function withSlugLock(work) {
+  const run = slugQueue.then(work)
+  slugQueue = run.catch(() => {})
+  return run
+}
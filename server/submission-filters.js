@@ -0,0 +1,131 @@
+/**
+ * Filtering and cursor pagination for the admin submissions list
+ */
+
+import { Buffer } from 'buffer'
+import validator from 'validator'
+
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 100
+
+// Status filter names and their `approved` values
+export const STATUS_VALUES = {
+  pending: 0,
+  approved: 1,
+  rejected: -1
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Opaque cursor for the row after which the next page starts
+ */
+export function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url')
+}
+
+/**
+ * Row id from a cursor made by encodeCursor, or null when it is not valid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    return Number.isInteger(id) ? id : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse a timestamp filter. A date without a time covers the whole day
+ * (UTC), so `to=2024-05-01` includes submissions made on May 1st.
+ */
+function parseDate(value, endOfDay) {
+  const date = new Date(value)
+  if (isNaN(date.getTime())) return null
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1)
+    return { iso: date.toISOString(), exclusive: true }
+  }
+  return { iso: date.toISOString(), exclusive: false }
+}
+
+/**
+ * Validate list query parameters: status, from, to, q, sort, cursor, limit.
+ * Returns { filters } or { error }.
+ */
+export function parseSubmissionFilters(query) {
+  const filters = {
+    status: query.status || 'all',
+    from: null,
+    to: null,
+    text: typeof query.q === 'string' ? query.q.trim() : '',
+    sort: query.sort || 'newest',
+    cursor: null,
+    limit: DEFAULT_PAGE_SIZE
+  }
+
+  if (filters.status !== 'all' && !(filters.status in STATUS_VALUES)) {
+    return { error: 'Status must be one of: all, pending, approved, rejected' }
+  }
+  if (!['newest', 'oldest'].includes(filters.sort)) {
+    return { error: 'Sort must be "newest" or "oldest"' }
+  }
+  if (query.from) {
+    filters.from = parseDate(query.from, false)
+    if (!filters.from) return { error: 'Invalid "from" date' }
+  }
+  if (query.to) {
+    filters.to = parseDate(query.to, true)
+    if (!filters.to) return { error: 'Invalid "to" date' }
+  }
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor)
+    if (filters.cursor === null) return { error: 'Invalid cursor' }
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit)
+    if (!(limit >= 1)) return { error: 'Limit must be a positive number' }
+    filters.limit = Math.min(limit, MAX_PAGE_SIZE)
+  }
+
+  return { filters }
+}
+
+/**
+ * SQL WHERE clause (without the keyword) and parameters for the filters.
+ * Pass { paginate: false } to ignore the cursor, e.g. for counts.
+ */
+export function submissionWhereClause(filters, { paginate = true } = {}) {
+  // Deleted submissions only show up in the trash
+  const conditions = ['deleted_at IS NULL']
+  const params = []
+
+  if (filters.status !== 'all') {
+    conditions.push('approved = ?')
+    params.push(STATUS_VALUES[filters.status])
+  }
+  if (filters.from) {
+    conditions.push('created_at >= ?')
+    params.push(filters.from.iso)
+  }
+  if (filters.to) {
+    conditions.push(filters.to.exclusive ? 'created_at < ?' : 'created_at <= ?')
+    params.push(filters.to.iso)
+  }
+  if (filters.text) {
+    const likePattern = text => `%${text.replace(/[\\%_]/g, char => '\\' + char)}%`
+    conditions.push("(user_text LIKE ? ESCAPE '\\' OR original_name LIKE ? ESCAPE '\\' OR image_name LIKE ? ESCAPE '\\')")
+    // Captions are stored HTML-escaped, so match them in escaped form
+    params.push(likePattern(validator.escape(filters.text)), likePattern(filters.text), likePattern(filters.text))
+  }
+  if (paginate && filters.cursor !== null) {
+    conditions.push(filters.sort === 'newest' ? 'id < ?' : 'id > ?')
+    params.push(filters.cursor)
+  }
+
+  return {
+    where: conditions.join(' AND '),
+    params
+  }
+}
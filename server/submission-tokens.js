@@ -0,0 +1,29 @@
+/**
+ * Secret tokens handed to submitters
+ * Only a SHA-256 hash is stored, so the database alone cannot be used to
+ * look up someone's submission. The token itself is returned once, in the
+ * POST /api/submissions response.
+ */
+
+import crypto from 'crypto'
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/ // 32 random bytes, base64url
+
+/**
+ * New random token and the hash to store for it
+ */
+export function createSubmissionToken() {
+  const token = crypto.randomBytes(32).toString('base64url')
+  return { token, hash: hashSubmissionToken(token) }
+}
+
+export function hashSubmissionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Whether `token` could have come from createSubmissionToken
+ */
+export function isSubmissionToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token)
+}
@@ -0,0 +1,130 @@
+/**
+ * Tags and categories for gallery images
+ * Tags are free-form labels (any number per image); categories come from an
+ * admin-managed list and each image has at most one. Both are keyed by the
+ * image name used in images.json.
+ */
+
+export const MAX_TAGS = 20
+export const MAX_TAG_LENGTH = 30
+export const MAX_CATEGORY_LENGTH = 40
+
+/**
+ * Lowercase a tag and reduce it to letters, digits and single dashes
+ */
+export function normalizeTag(input) {
+  return String(input || '')
+    .toLowerCase()
+    .trim()
+    .replace(/^#/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, MAX_TAG_LENGTH)
+}
+
+/**
+ * Parse tags from an array or a comma separated string.
+ * Returns { tags } with normalized, de-duplicated tags, or { error }.
+ */
+export function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',')
+  if (list.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be strings.' }
+  }
+
+  const tags = [...new Set(list.map(normalizeTag).filter(Boolean))]
+  if (tags.length > MAX_TAGS) {
+    return { error: `An image can have at most ${MAX_TAGS} tags.` }
+  }
+  return { tags }
+}
+
+/**
+ * Trim a category name and collapse whitespace; returns '' when unusable
+ */
+export function normalizeCategoryName(input) {
+  return String(input || '').replace(/\s+/g, ' ').trim().substring(0, MAX_CATEGORY_LENGTH)
+}
+
+/**
+ * Tags and category for every image that has any, as a Map of
+ * image name -> { tags, category }
+ */
+export async function getImageTaxonomy(db) {
+  const taxonomy = new Map()
+  const entryFor = name => {
+    if (!taxonomy.has(name)) taxonomy.set(name, { tags: [], category: null })
+    return taxonomy.get(name)
+  }
+
+  for (const row of await db.all('SELECT image_name, tag FROM image_tags ORDER BY tag')) {
+    entryFor(row.image_name).tags.push(row.tag)
+  }
+
+  const categories = await db.all(`
+    SELECT ic.image_name, c.name
+    FROM image_categories ic
+    JOIN categories c ON c.id = ic.category_id
+  `)
+  for (const row of categories) {
+    entryFor(row.image_name).category = row.name
+  }
+
+  return taxonomy
+}
+
+/**
+ * Copy of `images` with `tags` and `category` filled in from the taxonomy
+ */
+export function withTaxonomy(images, taxonomy) {
+  return images.map(image => {
+    const entry = taxonomy.get(image.name)
+    return { ...image, tags: entry ? entry.tags : [], category: entry ? entry.category : null }
+  })
+}
+
+/**
+ * Replace all tags of an image. Runs as its own transaction, so a failed
+ * insert keeps the old tags (and it cannot be called inside another one).
+ */
+export function setImageTags(db, imageName, tags) {
+  return db.transaction(async () => {
+    await db.run('DELETE FROM image_tags WHERE image_name = ?', [imageName])
+    for (const tag of tags) {
+      await db.run('INSERT INTO image_tags (image_name, tag) VALUES (?, ?)', [imageName, tag])
+    }
+  })
+}
+
+/**
+ * Add tags to an image, keeping the ones it has.
+ * Returns { tags } with the image's full tag list, or { error } when it would exceed MAX_TAGS.
+ */
+export async function addImageTags(db, imageName, tags) {
+  const existing = (await db.all('SELECT tag FROM image_tags WHERE image_name = ?', [imageName])).map(row => row.tag)
+  const merged = [...new Set([...existing, ...tags])].sort()
+  if (merged.length > MAX_TAGS) {
+    return { error: `An image can have at most ${MAX_TAGS} tags.` }
+  }
+
+  for (const tag of tags) {
+    await db.run('INSERT OR IGNORE INTO image_tags (image_name, tag) VALUES (?, ?)', [imageName, tag])
+  }
+  return { tags: merged }
+}
+
+/**
+ * Set or clear (categoryId = null) the category of an image
+ */
+export async function setImageCategory(db, imageName, categoryId) {
+  if (categoryId === null) {
+    await db.run('DELETE FROM image_categories WHERE image_name = ?', [imageName])
+  } else {
+    await db.run(
+      'INSERT OR REPLACE INTO image_categories (image_name, category_id) VALUES (?, ?)',
+      [imageName, categoryId]
+    )
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Trash for rejected and deleted submissions
+ * Their uploads are moved from uploads/ to the trash directory and
+ * `trashed_at` is set. Restoring moves the file back and makes the
+ * submission pending again. A periodic sweep deletes whatever has been in
+ * the trash longer than config.trash.retentionDays.
+ */
+
+import path from 'path'
+import { promises as fs } from 'fs'
+import { SYSTEM, recordAudit, statusName } from './audit.js'
+import { removePreview } from './previews.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true })
+  try {
+    await fs.rename(from, to)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+/**
+ * Move an upload into the trash (call after trashed_at is set)
+ */
+export function trashFile(config, filename) {
+  return moveFile(path.join(config.uploadsDir, filename), path.join(config.trashDir, filename))
+}
+
+/**
+ * Move an upload back out of the trash (call before trashed_at is cleared)
+ */
+export function untrashFile(config, filename) {
+  return moveFile(path.join(config.trashDir, filename), path.join(config.uploadsDir, filename))
+}
+
+/**
+ * When a trashed submission will be purged
+ */
+export function purgeDate(config, trashedAt) {
+  return new Date(new Date(trashedAt).getTime() + config.trash.retentionDays * DAY_MS).toISOString()
+}
+
+/**
+ * Trashed submissions, most recently trashed first, with `deleted` and `purge_at`
+ */
+export async function listTrash({ db, config }) {
+  const rows = await db.all(`
+    SELECT id, filename, original_name, user_text, approved, image_name, created_at, trashed_at, deleted_at
+    FROM submissions
+    WHERE trashed_at IS NOT NULL
+    ORDER BY trashed_at DESC, id DESC
+  `)
+  return rows.map(row => ({
+    ...row,
+    deleted: row.deleted_at !== null,
+    purge_at: purgeDate(config, row.trashed_at)
+  }))
+}
+
+/**
+ * Take a submission out of the trash as pending. Resolves with false when
+ * it is not in the trash.
+ */
+export async function restoreSubmission({ db, config }, submission, admin) {
+  if (!submission.trashed_at) return false
+
+  await untrashFile(config, submission.filename)
+  await db.transaction(async () => {
+    await db.run(
+      'UPDATE submissions SET approved = 0, trashed_at = NULL, deleted_at = NULL WHERE id = ?',
+      [submission.id]
+    )
+    await recordAudit(db, {
+      submissionId: submission.id,
+      admin,
+      action: 'restore',
+      previousState: statusName(submission.approved),
+      newState: 'pending',
+      details: submission.deleted_at ? { deleted_at: submission.deleted_at } : null
+    })
+  })
+  return true
+}
+
+/**
+ * Move uploads of rejected submissions that predate the trash into it, then
+ * delete submissions trashed longer than the retention period.
+ * Returns { trashed, purged } counts.
+ */
+export async function sweepTrash({ db, config }) {
+  const now = new Date().toISOString()
+
+  const untrashed = await db.all('SELECT id, filename FROM submissions WHERE approved = -1 AND trashed_at IS NULL')
+  for (const submission of untrashed) {
+    await db.run('UPDATE submissions SET trashed_at = ? WHERE id = ?', [now, submission.id])
+    await trashFile(config, submission.filename)
+  }
+
+  const cutoff = new Date(Date.now() - config.trash.retentionDays * DAY_MS).toISOString()
+  const expired = await db.all('SELECT * FROM submissions WHERE trashed_at IS NOT NULL AND trashed_at < ?', [cutoff])
+  for (const submission of expired) {
+    await db.transaction(async () => {
+      await db.run('DELETE FROM submissions WHERE id = ?', [submission.id])
+      await recordAudit(db, {
+        submissionId: submission.id,
+        admin: SYSTEM,
+        action: 'purge',
+        previousState: statusName(submission.approved),
+        details: { original_name: submission.original_name, trashed_at: submission.trashed_at }
+      })
+    })
+    try {
+      await fs.unlink(path.join(config.trashDir, submission.filename))
+      await removePreview(config, submission.filename)
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Failed to remove trashed file:', error.message)
+    }
+  }
+
+  return { trashed: untrashed.length, purged: expired.length }
+}
@@ -0,0 +1,131 @@
+/**
+ * Upload handling shared by the submission and processing routers.
+ * Multer writes into a private incoming folder; only files whose content
+ * verifies as an image are scrubbed of metadata and moved into config.uploadsDir.
+ */
+
+import multer from 'multer'
+import path from 'path'
+import fs from 'fs'
+import { verifyImageFile } from './image-validation.js'
+import { scrubImageMetadata } from './image-metadata.js'
+
+export const INVALID_FILE_TYPE = 'Only image files are allowed!'
+
+/**
+ * Where a submission's upload currently is: uploads/, or the trash once
+ * `trashed_at` is set
+ */
+export function uploadPath(config, submission) {
+  return path.join(submission.trashed_at ? config.trashDir : config.uploadsDir, submission.filename)
+}
+
+/**
+ * Make an uploaded file name safe to store on disk
+ */
+export function sanitizeFilename(originalName) {
+  return path.basename(originalName)
+    .replace(/[^a-zA-Z0-9.-]/g, '_')
+    .substring(0, 100)
+}
+
+/**
+ * Final file name for a verified upload. The extension always comes from
+ * the detected format, never from the client's file name.
+ */
+function uploadFilename(file, extension, naming) {
+  if (naming === 'original') {
+    const baseName = path.parse(sanitizeFilename(file.originalname)).name || 'upload'
+    return baseName + extension
+  }
+  // Generate unique filename with timestamp
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+  return 'meme-' + uniqueSuffix + extension
+}
+
+/**
+ * Middleware run after multer: sniff and decode the upload, strip its
+ * metadata, then move it into the uploads folder under its final name.
+ * Rejected files are deleted and passed on as 415 errors.
+ */
+function verifyUpload(config, naming) {
+  return async (req, res, next) => {
+    if (!req.file) return next()
+
+    try {
+      const image = await verifyImageFile(req.file.path, req.file.mimetype)
+      const scrub = await scrubImageMetadata(req.file.path)
+      const filename = uploadFilename(req.file, image.extension, naming)
+      const finalPath = path.join(config.uploadsDir, filename)
+
+      await fs.promises.rename(req.file.path, finalPath)
+      Object.assign(req.file, {
+        destination: config.uploadsDir,
+        filename,
+        path: finalPath,
+        mimetype: image.mimeType,
+        format: image.format,
+        metadataStripped: scrub.stripped,
+        locationRemoved: scrub.locationRemoved
+      })
+      next()
+    } catch (error) {
+      discardUpload(req.file)
+      next(error)
+    }
+  }
+}
+
+/**
+ * Create the upload handler. `upload.single(field)` returns the multer and
+ * verification middleware as one array, usable anywhere a middleware is.
+ * naming: 'generated' gives meme-<timestamp>-<random>.<ext>,
+ * 'original' keeps the sanitized client file name (used by the processing API,
+ * where the file name becomes the image name).
+ */
+export function createUpload(config, { naming = 'generated' } = {}) {
+  // A dot folder inside uploads: same filesystem for the final rename, and
+  // neither express.static nor the ImageProcessor watcher looks at dotfiles
+  const incomingDir = path.join(config.uploadsDir, '.incoming')
+  fs.mkdirSync(incomingDir, { recursive: true })
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, incomingDir)
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${Math.round(Math.random() * 1E9)}.upload`)
+    }
+  })
+
+  const multerUpload = multer({
+    storage: storage,
+    limits: {
+      fileSize: config.limits.fileSize
+    },
+    fileFilter: (req, file, cb) => {
+      // Cheap early check on the declared type; the content is verified after upload
+      if (file.mimetype.startsWith('image/')) {
+        cb(null, true)
+      } else {
+        cb(new Error(INVALID_FILE_TYPE), false)
+      }
+    }
+  })
+
+  return {
+    single: (fieldName) => [multerUpload.single(fieldName), verifyUpload(config, naming)]
+  }
+}
+
+/**
+ * Remove an uploaded file after a failed request, logging instead of throwing
+ */
+export function discardUpload(file) {
+  if (!file) return
+  try {
+    fs.unlinkSync(file.path)
+  } catch (err) {
+    console.warn('Failed to clean up uploaded file:', err.message)
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Per-image visibility, stored as `visibility` on each gallery manifest entry
+ * - public: in the grid and search results
+ * - unlisted: left out of the grid and search, but `/#name` links still open it
+ * - hidden: never shown by the site, and its files are not served
+ * Entries without the field are public.
+ */
+
+import path from 'path'
+import { promises as fs } from 'fs'
+import { readManifest, updateManifest } from './manifest.js'
+import { GALLERY_LIST_URLS, entryUrls, invalidateCachedUrls } from './library.js'
+import { moderationError } from './errors.js'
+import { indexImage } from './search.js'
+
+export const VISIBILITIES = ['public', 'unlisted', 'hidden']
+
+export function visibilityOf(image) {
+  return image.visibility || 'public'
+}
+
+/**
+ * Change a published image's visibility. Resolves with its manifest entry.
+ */
+export async function setImageVisibility({ db, config }, name, visibility) {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw moderationError(400, `Visibility must be one of: ${VISIBILITIES.join(', ')}`)
+  }
+
+  let entry = null
+  await updateManifest(config.manifestFile, images => images.map(image => {
+    if (image.name !== name) return image
+    entry = { ...image, visibility }
+    return entry
+  }))
+  if (!entry) {
+    throw moderationError(404, 'Image not found')
+  }
+
+  // Hidden files are no longer served, so clients must drop their copies too
+  await invalidateCachedUrls(db, visibility === 'hidden' ? entryUrls(entry) : GALLERY_LIST_URLS)
+  await indexImage({ db, config }, name)
+  return entry
+}
+
+// URL path without its extension. Format negotiation serves any extension
+// of a file name from its variants, so files are matched on this.
+function withoutExtension(url) {
+  return url.slice(0, url.length - path.posix.extname(url).length)
+}
+
+/**
+ * URL paths, without extension, of a hidden image's files: the image, its
+ * thumbnail and responsive widths (their AVIF/WebP variants share these)
+ */
+function hiddenPaths(image) {
+  return [image.url, image.thumbnailUrl, ...(image.widths || []).map(({ url }) => url)]
+    .filter(Boolean)
+    .map(withoutExtension)
+}
+
+// express.static resolves `//`, `.` and `..` before it looks up a file, so
+// requests are compared by the path it would actually serve
+function normalizeUrlPath(urlPath) {
+  return path.posix.normalize(urlPath.replace(/\/{2,}/g, '/'))
+}
+
+/**
+ * Middleware keeping hidden images private: their files answer 404, and the
+ * manifest is served without their entries so their names do not leak.
+ * Mount it before every static handler that can serve public/images,
+ * including the built app in dist/, which holds a copy of it.
+ */
+export function hideHiddenImages(config) {
+  const manifestUrl = normalizeUrlPath(`/images/${path.relative(config.publicImagesDir, config.manifestFile).split(path.sep).join('/')}`)
+  let cache = { mtimeMs: null, blocked: new Set(), images: [] }
+
+  // Re-read the manifest only when it has changed
+  const load = async () => {
+    let mtimeMs = 0
+    try {
+      mtimeMs = (await fs.stat(config.manifestFile)).mtimeMs
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+    if (mtimeMs !== cache.mtimeMs) {
+      const images = await readManifest(config.manifestFile)
+      const hidden = images.filter(image => visibilityOf(image) === 'hidden')
+      cache = {
+        mtimeMs,
+        blocked: new Set(hidden.flatMap(hiddenPaths)),
+        images: images.filter(image => visibilityOf(image) !== 'hidden')
+      }
+    }
+    return cache
+  }
+
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next()
+
+    let requested
+    try {
+      requested = normalizeUrlPath(decodeURIComponent(req.path))
+    } catch {
+      return next() // express.static answers malformed paths
+    }
+    if (!requested.startsWith('/images/') && !requested.startsWith('/thumbnails/')) return next()
+
+    try {
+      const { blocked, images } = await load()
+      if (requested === manifestUrl) {
+        res.set('Cache-Control', 'no-cache')
+        return res.json(images)
+      }
+      if (blocked.has(withoutExtension(requested))) {
+        return res.status(404).json({ error: 'Image not found' })
+      }
+    } catch (error) {
+      return next(error)
+    }
+    next()
+  }
+}
+
+/**
+ * One-time import of the old public/images/exclusions.json: every listed
+ * image becomes hidden (and is added to the manifest if it was missing),
+ * then the file is renamed to exclusions.json.imported.
+ * Returns the number of images hidden.
+ */
+export async function importExclusions(config) {
+  const exclusionsFile = path.join(config.publicImagesDir, 'exclusions.json')
+  let excludedFiles
+  try {
+    excludedFiles = JSON.parse(await fs.readFile(exclusionsFile, 'utf8')).excludedFiles || []
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0
+    throw error
+  }
+
+  const present = new Set(await fs.readdir(config.publicImagesDir))
+  const hide = new Set(excludedFiles.filter(file => present.has(file) && !file.endsWith('.json')))
+
+  if (hide.size > 0) {
+    await updateManifest(config.manifestFile, images => {
+      const listed = new Set(images.map(image => image.filename))
+      const added = [...hide].filter(file => !listed.has(file)).map(file => ({
+        name: path.parse(file).name,
+        filename: file,
+        extension: path.extname(file).slice(1),
+        url: `/images/${file}`
+      }))
+      return [...images, ...added].map(image => hide.has(image.filename) ? { ...image, visibility: 'hidden' } : image)
+    })
+  }
+
+  await fs.rename(exclusionsFile, `${exclusionsFile}.imported`)
+  return hide.size
+}
@@ -2,6 +2,25 @@ import { useState, useEffect } from 'react'
 import './App.css'
 import imageCache from './imageCache'
 
+const SEARCH_DEBOUNCE_MS = 300
+const SEARCH_PAGE_SIZE = 24
+
+// Unlisted images open from a #name link but stay out of the grid
+const isListed = (image) => (image.visibility || 'public') === 'public'
+
+// srcset from the responsive widths the server generated, plus the optimized
+// image itself; undefined for images added by hand
+const srcSetFor = (image) => {
+  if (!image || !image.widths || image.widths.length === 0) return undefined
+  const candidates = image.width ? [...image.widths, { width: image.width, url: image.url }] : image.widths
+  return candidates.map(({ width, url }) => `${url} ${width}w`).join(', ')
+}
+
+// Rendered widths of the grid cells, modal and full page (see App.css)
+const GRID_SIZES = '(max-width: 480px) 120px, (max-width: 768px) 150px, 200px'
+const MODAL_SIZES = '(max-width: 768px) 96vw, calc(95vw - 280px)'
+const FULL_PAGE_SIZES = '(max-width: 480px) 90vw, (max-width: 768px) 85vw, 60vw'
+
 function App() {
   const [currentImage, setCurrentImage] = useState(null)
   const [actualImageFile, setActualImageFile] = useState(null)
@@ -26,6 +45,12 @@ function App() {
   
   // Search state
   const [searchTerm, setSearchTerm] = useState('')
+  const [activeFilter, setActiveFilter] = useState(null) // { type: 'category' | 'tag', value }
+  // Ranked results from /api/search; null when not searching or the API is unavailable
+  const [searchResults, setSearchResults] = useState(null)
+  const [searchTotal, setSearchTotal] = useState(0)
+  const [searchPage, setSearchPage] = useState(1)
+  const [isSearching, setIsSearching] = useState(false)
   
   // Initialize extension cache from localStorage
   const [extensionCache, setExtensionCache] = useState(() => {
@@ -129,7 +154,7 @@ function App() {
       const batchPromises = batch.map(async (image) => {
         try {
           // First try to load a thumbnail if available
-          const thumbnailUrl = `/thumbnails/${image.name}.jpg`
+          const thumbnailUrl = image.thumbnailUrl || `/thumbnails/${image.name}.jpg`
           let cachedUrl
           
           try {
@@ -202,17 +227,111 @@ function App() {
     return cachedUrl.startsWith('blob:') ? cachedUrl : `${window.location.origin}${originalUrl}`
   }
 
-  // Function to filter images based on search term
+  // Fetch one page of ranked results from the server-side search API
+  const fetchSearchResults = async (query, page) => {
+    const params = new URLSearchParams({ q: query, page: String(page), limit: String(SEARCH_PAGE_SIZE) })
+    const response = await fetch(`/api/search?${params}`)
+    if (!response.ok) throw new Error(`Search failed: ${response.status}`)
+    return response.json()
+  }
+
+  // Debounced server-side search; falls back to client-side filtering when the API is unavailable
+  useEffect(() => {
+    const query = searchTerm.trim()
+    if (!query) {
+      setSearchResults(null)
+      setIsSearching(false)
+      return
+    }
+
+    let cancelled = false
+    setIsSearching(true)
+    const timer = setTimeout(async () => {
+      try {
+        const data = await fetchSearchResults(query, 1)
+        if (cancelled) return
+        setSearchResults(data.results)
+        setSearchTotal(data.total)
+        setSearchPage(1)
+      } catch (error) {
+        if (cancelled) return
+        console.log('Search API not available, filtering locally:', error.message)
+        setSearchResults(null)
+      } finally {
+        if (!cancelled) setIsSearching(false)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchTerm])
+
+  const loadMoreSearchResults = async () => {
+    try {
+      const data = await fetchSearchResults(searchTerm.trim(), searchPage + 1)
+      setSearchResults(results => [...(results || []), ...data.results])
+      setSearchTotal(data.total)
+      setSearchPage(searchPage + 1)
+    } catch (error) {
+      console.log('Failed to load more search results:', error.message)
+    }
+  }
+
+  // Function to filter images based on the selected chip and search term.
+  // Uses the server's ranked results when available, otherwise matches
+  // name, tags and category locally.
   const getFilteredImages = () => {
-    if (!searchTerm.trim()) {
-      return availableImages
+    const term = searchTerm.trim().toLowerCase().replace(/^#/, '')
+    const matchesFilter = (image) => {
+      const tags = image.tags || []
+      if (activeFilter?.type === 'category' && image.category !== activeFilter.value) return false
+      if (activeFilter?.type === 'tag' && !tags.includes(activeFilter.value)) return false
+      return true
     }
-    
-    return availableImages.filter(image => 
-      image.name.toLowerCase().includes(searchTerm.toLowerCase())
-    )
+
+    if (term && searchResults) {
+      const imagesByName = new Map(availableImages.map(image => [image.name, image]))
+      return searchResults
+        .map(result => ({ ...result, ...imagesByName.get(result.name) }))
+        .filter(matchesFilter)
+    }
+
+    return availableImages.filter(image => {
+      if (!isListed(image) || !matchesFilter(image)) return false
+      if (!term) return true
+
+      return image.name.toLowerCase().includes(term) ||
+        (image.category || '').toLowerCase().includes(term) ||
+        (image.tags || []).some(tag => tag.includes(term))
+    })
   }
 
+  // Filter chips: every category in use, then the most common tags
+  const getFilterChips = () => {
+    const listedImages = availableImages.filter(isListed)
+    const categories = [...new Set(listedImages.map(image => image.category).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b))
+
+    const tagCounts = new Map()
+    listedImages.forEach(image => {
+      (image.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1))
+    })
+    const popularTags = [...tagCounts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 12)
+      .map(([tag]) => tag)
+
+    return [
+      ...categories.map(value => ({ type: 'category', value, label: value })),
+      ...popularTags.map(value => ({ type: 'tag', value, label: `#${value}` }))
+    ]
+  }
+
+  const isActiveFilter = (chip) =>
+    activeFilter?.type === chip.type && activeFilter?.value === chip.value
+
   // Modal functions
   const openImageModal = (image) => {
     setModalImage(image)
@@ -309,7 +428,7 @@ function App() {
     }
   }
 
-  // Function to fetch available images using dynamic discovery with exclusions
+  // Function to fetch available images using dynamic discovery
   const fetchAvailableImages = async () => {
     if (isInitializing) {
       return // Silently skip if already initializing
@@ -318,31 +437,18 @@ function App() {
     try {
       setIsInitializing(true)
       
-      // Fetch exclusion list
-      let excludedFiles = []
-      try {
-        const exclusionsResponse = await fetch('/images/exclusions.json')
-        if (exclusionsResponse.ok) {
-          const exclusionsData = await exclusionsResponse.json()
-          excludedFiles = exclusionsData.excludedFiles || []
-        }
-      } catch (error) {
-        console.log('No exclusions file found, proceeding without exclusions')
-      }
-      
-      // Try to get image list from server API first
+      // Try to get image list from server API first. It leaves out hidden
+      // images; unlisted ones are kept so their #name links still open
       try {
         const serverResponse = await fetch('/api/images')
         if (serverResponse.ok) {
           const serverImages = await serverResponse.json()
-          const filteredImages = serverImages
-            .filter(img => !excludedFiles.includes(img.filename))
-            .sort((a, b) => a.name.localeCompare(b.name))
+          const sortedImages = serverImages.sort((a, b) => a.name.localeCompare(b.name))
           
-          setAvailableImages(filteredImages)
+          setAvailableImages(sortedImages)
           
           // Start preloading immediately but don't block UI
-          preloadImages(filteredImages).catch(error => {
+          preloadImages(sortedImages.filter(isListed)).catch(error => {
             console.log('Background preloading failed:', error)
           })
           return
@@ -365,11 +471,6 @@ function App() {
         for (const ext of commonImageExtensions) {
           const filename = `${name}.${ext}`
           
-          // Skip if in exclusion list
-          if (excludedFiles.includes(filename)) {
-            continue
-          }
-          
           try {
             // Test if image exists by trying to load it
             await new Promise((resolve, reject) => {
@@ -541,7 +642,10 @@ function App() {
   // If there's a current image for full-page view (not modal), show only the image
   if (currentImage && !isModalOpen) {
     const imageUrl = actualImageFile ? `/images/${actualImageFile}` : null
-    const cachedUrl = imageUrl ? getCachedImageUrl(imageUrl) : null
+    const fullPageImage = availableImages.find(img => img.filename === actualImageFile)
+    // The cache holds the still thumbnail of animated images
+    const cachedUrl = imageUrl && !(fullPageImage && fullPageImage.animated) ? getCachedImageUrl(imageUrl) : null
+    const fullPageSrcSet = srcSetFor(fullPageImage)
     
     return (
       <div className="app image-only">
@@ -565,6 +669,8 @@ function App() {
             {/* Hidden image for loading - ensures full load before display */}
             <img 
               src={cachedUrl || imageUrl}
+              srcSet={fullPageSrcSet}
+              sizes={FULL_PAGE_SIZES}
               alt=""
               onLoad={handleImageLoad}
               onError={handleImageError}
@@ -574,6 +680,8 @@ function App() {
             {imageLoaded && (
               <img 
                 src={cachedUrl || imageUrl}
+                srcSet={fullPageSrcSet}
+                sizes={FULL_PAGE_SIZES}
                 alt={currentImage}
                 className="full-image"
               />
@@ -682,7 +790,9 @@ function App() {
             
             <div className="modal-image-container">
               <img 
-                src={getCachedImageUrl(modalImage.url)}
+                src={modalImage.animated ? modalImage.url : getCachedImageUrl(modalImage.url)}
+                srcSet={srcSetFor(modalImage)}
+                sizes={MODAL_SIZES}
                 alt={modalImage.name}
                 className="modal-image"
                 onLoad={(e) => {
@@ -692,6 +802,7 @@ function App() {
                 onError={(e) => {
                   // Silently fallback to original URL
                   if (e.target.src !== modalImage.url) {
+                    e.target.removeAttribute('srcset')
                     e.target.src = modalImage.url
                   }
                 }}
@@ -718,7 +829,7 @@ function App() {
                 <div className="search-container">
                   <input
                     type="text"
-                    placeholder="Search memes by name..."
+                    placeholder="Search memes by name, tag or category..."
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
                     className="search-input"
@@ -734,6 +845,32 @@ function App() {
                   )}
                 </div>
               </div>
+
+              {/* Category and tag filter chips */}
+              {(() => {
+                const chips = getFilterChips()
+                if (chips.length === 0) return null
+
+                return (
+                  <div className="filter-chips">
+                    <button
+                      className={`filter-chip ${activeFilter ? '' : 'active'}`}
+                      onClick={() => setActiveFilter(null)}
+                    >
+                      All
+                    </button>
+                    {chips.map(chip => (
+                      <button
+                        key={`${chip.type}:${chip.value}`}
+                        className={`filter-chip filter-chip-${chip.type} ${isActiveFilter(chip) ? 'active' : ''}`}
+                        onClick={() => setActiveFilter(isActiveFilter(chip) ? null : { type: chip.type, value: chip.value })}
+                      >
+                        {chip.label}
+                      </button>
+                    ))}
+                  </div>
+                )
+              })()}
               
               <div className="image-grid-container">
                 {(() => {
@@ -750,6 +887,14 @@ function App() {
                     )
                   }
                   
+                  if (filteredImages.length === 0 && searchTerm && isSearching) {
+                    return (
+                      <div style={{color: 'white', padding: '2rem', textAlign: 'center'}}>
+                        Searching...
+                      </div>
+                    )
+                  }
+
                   if (filteredImages.length === 0 && searchTerm) {
                     return (
                       <div style={{color: 'white', padding: '2rem', textAlign: 'center'}}>
@@ -757,6 +902,14 @@ function App() {
                       </div>
                     )
                   }
+
+                  if (filteredImages.length === 0 && activeFilter) {
+                    return (
+                      <div style={{color: 'white', padding: '2rem', textAlign: 'center'}}>
+                        No memes in {activeFilter.type === 'tag' ? `#${activeFilter.value}` : activeFilter.value} yet.
+                      </div>
+                    )
+                  }
                   
                   if (filteredImages.length === 0) {
                     return (
@@ -778,6 +931,8 @@ function App() {
                             <div className="image-preview">
                               <img 
                                 src={getCachedImageUrl(image.url)} 
+                                srcSet={srcSetFor(image)}
+                                sizes={GRID_SIZES}
                                 alt={image.name}
                                 className="grid-thumbnail"
                                 loading="lazy"
@@ -789,7 +944,8 @@ function App() {
                                 }}
                                 onError={(e) => {
                                   // Try thumbnail first, then fallback to original
-                                  const thumbnailUrl = `/thumbnails/${image.name}.jpg`
+                                  const thumbnailUrl = image.thumbnailUrl || `/thumbnails/${image.name}.jpg`
+                                  e.target.removeAttribute('srcset')
                                   if (e.target.src !== thumbnailUrl && e.target.src !== image.url) {
                                     e.target.src = thumbnailUrl
                                   } else if (e.target.src === thumbnailUrl) {
@@ -809,6 +965,11 @@ function App() {
                           </div>
                         </div>
                       ))}
+                      {searchTerm.trim() && searchResults && searchResults.length < searchTotal && (
+                        <button className="load-more-button" onClick={loadMoreSearchResults}>
+                          Show more results ({searchTotal - searchResults.length} left)
+                        </button>
+                      )}
                     </div>
                   )
                 })()}
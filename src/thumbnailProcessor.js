@@ -5,7 +5,7 @@ class ThumbnailProcessor {
     this.ctx = this.canvas.getContext('2d')
     this.thumbnailCache = new Map()
     this.maxThumbnailSize = 400 // Max width/height for thumbnails
-    this.quality = 0.8 // JPEG quality for thumbnails
+    this.quality = 0.8 // JPEG/WebP quality for thumbnails
   }
 
   // Generate thumbnail for an image URL
@@ -34,8 +34,10 @@ class ThumbnailProcessor {
       this.ctx.clearRect(0, 0, width, height)
       this.ctx.drawImage(img, 0, 0, width, height)
       
-      // Convert to blob URL for caching
-      const blob = await this.canvasToBlob(this.canvas)
+      // Convert to blob URL for caching. Transparent images become WebP (or PNG
+      // where the browser cannot encode WebP) so their cutouts are not filled in
+      const type = this.hasTransparency(width, height) ? 'image/webp' : 'image/jpeg'
+      const blob = await this.canvasToBlob(this.canvas, type)
       const thumbnailUrl = URL.createObjectURL(blob)
       
       // Cache the thumbnail
@@ -82,7 +84,16 @@ class ThumbnailProcessor {
     }
   }
 
-  // Convert canvas to blob
+  // Check the drawn canvas for pixels that are not fully opaque
+  hasTransparency(width, height) {
+    const { data } = this.ctx.getImageData(0, 0, width, height)
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 255) return true
+    }
+    return false
+  }
+
+  // Convert canvas to blob (toBlob falls back to PNG for types it cannot encode)
   canvasToBlob(canvas, type = 'image/jpeg', quality = this.quality) {
     return new Promise((resolve, reject) => {
       canvas.toBlob((blob) => {